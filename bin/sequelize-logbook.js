@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+const cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2)).then(
+  output => {
+    console.log(output);
+    process.exit(0);
+  },
+  error => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
@@ -4,32 +4,235 @@
  *
  */
 const _ = require('lodash');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const Sequelize = require('sequelize');
+const diff = require('./lib/diff');
+const whoDunnit = require('./lib/whoDunnit');
+const migration = require('./lib/migration');
+const retention = require('./lib/retention');
+const hashChain = require('./lib/hashChain');
+const registry = require('./lib/registry');
+const changes = require('./lib/changes');
+const sensitive = require('./lib/sensitive');
+const keys = require('./lib/keys');
+const intervals = require('./lib/intervals');
 
-function getPrimaryKey(Model) {
-  return Object.keys(Model.attributes).filter(field => {
-    return Model.attributes[field].primaryKey;
-  })[0];
+const timestampAttributes = ['createdAt', 'updatedAt', 'deletedAt'];
+const events = new EventEmitter();
+// the only types an erased value that cannot be null can be replaced with a placeholder in
+const placeholderTypes = ['STRING', 'CHAR', 'TEXT', 'CITEXT'];
+const operations = [
+  'create',
+  'update',
+  'restore',
+  'backfill',
+  'softDelete',
+  'destroy',
+];
+const defaultOptions = {
+  modelNameSuffix: '_revision',
+  modelName: null,
+  tableName: null,
+  schema: null,
+  include: null,
+  exclude: [],
+  keepTimestamps: false,
+  storeChangedAttributes: false,
+  metaAttributes: {},
+  storeRevisionMeta: false,
+  requiredMeta: [],
+  bulkBatchSize: 1000,
+  ignoreChangesTo: [],
+  skipIdenticalRevisions: false,
+  lenient: false,
+  retention: null,
+  hashChain: false,
+  omit: [],
+  redact: [],
+  encrypt: [],
+  encryptionKey: null,
+  erasure: false,
+  trackSchema: false,
+  schemaVersion: null,
+  associations: [],
+  revisionsAs: null,
+  uniqueOpenRevisions: false,
+  fieldsToIgnore: [
+    'primaryKey',
+    'autoIncrement',
+    'unique',
+    'onUpdate',
+    'onDelete',
+    'references',
+  ],
+};
+
+function jsonAttribute(name) {
+  return {
+    type: Sequelize.TEXT,
+    defaultValue: null,
+    get: function() {
+      const value = this.getDataValue(name);
+      return _.isString(value) ? JSON.parse(value) : value;
+    },
+    set: function(value) {
+      this.setDataValue(name, _.isNil(value) ? null : JSON.stringify(value));
+    },
+  };
+}
+function rejectReadOnly() {
+  return Sequelize.Promise.reject(
+    new Error('cannot save a historical instance')
+  );
+}
+function makeReadOnly(instance) {
+  instance.save = rejectReadOnly;
+  instance.update = rejectReadOnly;
+  instance.destroy = rejectReadOnly;
+  instance.restore = rejectReadOnly;
+  return instance;
+}
+// the transaction of a write, sequelize takes it from the Sequelize.cls namespace
+// when none is passed, its hooks do not see that one in their options
+function transactionOf(options) {
+  if (options.transaction !== undefined || !Sequelize.cls) {
+    return options.transaction || null;
+  }
+  return Sequelize.cls.get('transaction') || null;
+}
+// sequelize 3 has no afterCommit hook, so commit is wrapped
+// to run fn once the outermost transaction has committed
+function whenCommitted(transaction, fn) {
+  if (!transaction) {
+    return fn();
+  }
+  while (transaction.parent) {
+    transaction = transaction.parent;
+  }
+  if (!transaction.revisionCallbacks) {
+    const commit = transaction.commit;
+    transaction.revisionCallbacks = [];
+    transaction.commit = function() {
+      return commit.apply(this, arguments).then(result => {
+        const callbacks = transaction.revisionCallbacks;
+        transaction.revisionCallbacks = [];
+        callbacks.forEach(callback => {
+          callback();
+        });
+        return result;
+      });
+    };
+  }
+  transaction.revisionCallbacks.push(fn);
+}
+// the write has already succeeded, a listener that throws must not fail it.
+// Its error goes to the 'error' listeners of the emitter, or becomes a process warning
+function emitSafely(emitter, event, payload) {
+  emitter.rawListeners(event).forEach(listener => {
+    try {
+      listener.call(emitter, payload);
+    } catch (error) {
+      if (emitter.listenerCount('error') > 0) {
+        emitter.emit('error', error);
+      } else {
+        process.emitWarning(error);
+      }
+    }
+  });
+}
+function uuid() {
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+}
+// every revision written in the same transaction shares a changeset id
+// and a timestamp, outside of a transaction every write is its own changeset
+function changesetOf(options) {
+  let transaction = transactionOf(options);
+  if (!transaction) {
+    return {
+      id: uuid(),
+      timestamp: new Date(),
+    };
+  }
+  while (transaction.parent) {
+    transaction = transaction.parent;
+  }
+  transaction.revisionChangeset = transaction.revisionChangeset || {
+    id: uuid(),
+    timestamp: new Date(),
+  };
+  return transaction.revisionChangeset;
+}
+// the deletedAt of a paranoid model tells soft deleted revisions apart, it is always tracked
+function getOmittedAttributes(Model, settings) {
+  const deletedAt = _.compact([Model._timestampAttributes.deletedAt]);
+  const omittedAttributes = settings.keepTimestamps ? [] : timestampAttributes;
+  const notIncluded = settings.include
+    ? _.difference(
+        Object.keys(Model.attributes),
+        settings.include,
+        keys.attributesOf(Model),
+        deletedAt
+      )
+    : [];
+  return _.union(
+    _.difference(omittedAttributes, deletedAt),
+    notIncluded,
+    settings.exclude,
+    settings.omit
+  );
 }
 /**
  * @function trackRevisions
  * @memberOf SequelizeRevisions
- * @param {SequelizeModel}   Model   - The model you want revisions tracked on
+ * @param {SequelizeModel}   Model                       - The model you want revisions tracked on
+ * @param {Object}           [options]
+ * @param {String[]}         [options.include]           - Only copy these attributes (and the primary key) into the revisions table
+ * @param {String[]}         [options.exclude]           - Never copy these attributes into the revisions table
+ * @param {Boolean}          [options.keepTimestamps]    - Copy createdAt, updatedAt and deletedAt too, paranoid models always copy deletedAt
+ * @param {String}           [options.modelName]         - Name of the revisions model, defaults to Model.name + modelNameSuffix
+ * @param {String}           [options.modelNameSuffix]   - Suffix for the revisions model name, defaults to '_revision'
+ * @param {String}           [options.tableName]         - Table name of the revisions model
+ * @param {String}           [options.schema]            - Schema of the revisions table
+ * @param {Boolean}          [options.storeChangedAttributes] - Store the names of the changed attributes on each revision
+ * @param {Object}           [options.metaAttributes]    - Extra revision columns, filled from the revision metadata of the same name
+ * @param {Boolean}          [options.storeRevisionMeta] - Store all of the revision metadata in a revisionMeta column
+ * @param {String[]}         [options.requiredMeta]      - Revision metadata that must be present on every write
+ * @param {String[]}         [options.ignoreChangesTo]   - Updates that only change these attributes do not create a revision
+ * @param {Boolean}          [options.skipIdenticalRevisions] - Do not create a revision identical to the open revision
+ * @param {Number}           [options.bulkBatchSize]     - Rows per query when recording revisions for bulk operations
+ * @param {Boolean}          [options.lenient]           - Updates and destroys of rows without any revision do not fail
+ * @param {Object}           [options.retention]         - What RevisionModel.prune removes, see retention.planPrune
+ * @param {Boolean}          [options.hashChain]         - Link the revisions of each record with tamper-evident hashes
+ * @param {String[]}         [options.omit]              - Like exclude, for attributes that must never reach the revisions table
+ * @param {String[]|Object}  [options.redact]            - Store a hash of these attributes, or a map of attribute to 'hash' or 'placeholder'. Placeholders turn on storeChangedAttributes
+ * @param {String[]}         [options.encrypt]           - Store these attributes encrypted with encryptionKey, decrypted on read
+ * @param {String|Buffer}    [options.encryptionKey]     - Key for encrypt, and for the hashes of redact, required by both
+ * @param {Boolean}          [options.erasure]           - Allow Model.eraseRevisionHistory, recorded in RevisionModel.erasureModel
+ * @param {Boolean}          [options.trackSchema]       - Stamp every revision with the schema version it was written under, recorded in RevisionModel.schemaModel
+ * @param {String}           [options.schemaVersion]     - Name of the schema version, defaults to a hash of the tracked attributes
+ * @param {String[]}         [options.associations]      - Associations, to tracked models, that point in time queries read at the same time
+ * @param {String}           [options.revisionsAs]       - Alias of a hasMany association from Model to its revisions, none by default
+ * @param {Boolean}          [options.uniqueOpenRevisions] - A partial unique index allowing a single open revision per record, postgres only
+ * @param {String[]}         [options.fieldsToIgnore]    - Attribute definition keys stripped from the copied attributes
  */
-module.exports = function trackRevisions(Model) {
+module.exports = function trackRevisions(Model, options) {
   if (!Model) {
     return;
   }
-  const modelNameSuffix = '_revision';
-  const omittedAttributes = ['createdAt', 'updatedAt', 'deletedAt'];
-  const fieldsToIgnore = [
-    'primaryKey',
-    'autoIncrement',
-    'unique',
-    'onUpdate',
-    'onDelete',
-    'references',
-  ];
+  const settings = _.defaults({}, options, defaultOptions);
+  const omittedAttributes = getOmittedAttributes(Model, settings);
+  const fieldsToIgnore = settings.fieldsToIgnore;
   const revisionAttributes = {
     revisionId: {
       allowNull: false,
@@ -63,10 +266,38 @@ module.exports = function trackRevisions(Model) {
       type: Sequelize.STRING,
       defaultValue: null,
     },
+    revisionOperation: {
+      type: Sequelize.STRING,
+      defaultValue: null,
+      validate: {
+        isIn: [operations],
+      },
+    },
+    destroyedBy: {
+      type: Sequelize.STRING,
+      defaultValue: null,
+    },
+    changesetId: {
+      type: Sequelize.STRING(36),
+      defaultValue: null,
+    },
+    closedChangesetId: {
+      type: Sequelize.STRING(36),
+      defaultValue: null,
+    },
   };
 
   const sequelize = Model.sequelize;
-  const referenceModelPrimaryKey = getPrimaryKey(Model);
+  const primaryKeyAttributes = keys.attributesOf(Model);
+  if (_.intersection(omittedAttributes, primaryKeyAttributes).length) {
+    throw new Error('the primary key must be tracked');
+  }
+  if (_.includes(omittedAttributes, Model._timestampAttributes.deletedAt)) {
+    throw new Error('the deletedAt of a paranoid model must be tracked');
+  }
+  if (settings.revisionsAs && primaryKeyAttributes.length !== 1) {
+    throw new Error('revisionsAs needs a single column primary key');
+  }
   const trackedAttributes = _.reduce(
     _.omit(Model.attributes, omittedAttributes),
     function(map, attributeDef, attributeName) {
@@ -77,12 +308,131 @@ module.exports = function trackRevisions(Model) {
     },
     {}
   );
+  const redactModes = sensitive.redactModesByAttribute(settings.redact);
+  // every placeholder looks the same, which of them changed is kept in changedAttributes
+  const placeholderAttributes = _.keys(
+    _.pickBy(redactModes, mode => {
+      return mode === 'placeholder';
+    })
+  );
+  if (placeholderAttributes.length) {
+    settings.storeChangedAttributes = true;
+  }
+  const sensitiveAttributes = _.keys(redactModes).concat(settings.encrypt);
+  if (_.intersection(sensitiveAttributes, primaryKeyAttributes).length) {
+    throw new Error('the primary key cannot be redacted or encrypted');
+  }
+  if (_.intersection(_.keys(redactModes), settings.encrypt).length) {
+    throw new Error('an attribute cannot be both redacted and encrypted');
+  }
+  if (settings.encrypt.length && !settings.encryptionKey) {
+    throw new Error('encryptionKey is required to encrypt');
+  }
+  // an unkeyed hash of a low-entropy value is a lookup away from the value
+  if (_.includes(_.values(redactModes), 'hash') && !settings.encryptionKey) {
+    throw new Error('encryptionKey is required to hash');
+  }
+  _.forEach(redactModes, (mode, attributeName) => {
+    if (trackedAttributes[attributeName]) {
+      trackedAttributes[attributeName] = sensitive.redactedAttribute(
+        attributeName,
+        trackedAttributes[attributeName],
+        mode,
+        settings.encryptionKey
+      );
+    }
+  });
+  settings.encrypt.forEach(attributeName => {
+    if (trackedAttributes[attributeName]) {
+      trackedAttributes[attributeName] = sensitive.encryptedAttribute(
+        attributeName,
+        trackedAttributes[attributeName],
+        settings.encryptionKey
+      );
+    }
+  });
+  if (settings.storeChangedAttributes) {
+    revisionAttributes.changedAttributes = jsonAttribute('changedAttributes');
+  }
+  if (settings.storeRevisionMeta) {
+    revisionAttributes.revisionMeta = jsonAttribute('revisionMeta');
+  }
+  const schemaVersion = settings.trackSchema
+    ? settings.schemaVersion ||
+      crypto
+        .createHash('sha256')
+        .update(
+          JSON.stringify(
+            _.map(_.keys(trackedAttributes).sort(), attributeName => {
+              const type = trackedAttributes[attributeName].type;
+              return [attributeName, String(type.key || type)];
+            })
+          )
+        )
+        .digest('hex')
+        .slice(0, 16)
+    : null;
+  if (settings.trackSchema) {
+    revisionAttributes.revisionSchemaVersion = {
+      type: Sequelize.STRING(64),
+      defaultValue: null,
+    };
+  }
+  if (settings.hashChain) {
+    if (settings.retention && settings.retention.dailySnapshots) {
+      // collapsing rewrites revisionValidFrom, which is part of the hash
+      throw new Error('dailySnapshots cannot be combined with hashChain');
+    }
+    revisionAttributes.revisionHash = {
+      type: Sequelize.STRING(64),
+      defaultValue: null,
+    };
+    revisionAttributes.previousRevisionHash = {
+      type: Sequelize.STRING(64),
+      defaultValue: null,
+    };
+  }
+  if (
+    _.intersection(_.keys(settings.metaAttributes), _.keys(trackedAttributes))
+      .length
+  ) {
+    throw new Error('metaAttributes cannot overlap tracked attributes');
+  }
+  _.assign(revisionAttributes, settings.metaAttributes);
   const attributes = _.merge(revisionAttributes, trackedAttributes);
+  const foreignKeys = _.filter(_.keys(trackedAttributes), attributeName => {
+    return (
+      !!Model.attributes[attributeName].references &&
+      attributeName !== primaryKeyAttributes[0]
+    );
+  });
+
+  const revisionModelName =
+    settings.modelName || Model.name + settings.modelNameSuffix;
+  if (
+    settings.uniqueOpenRevisions &&
+    sequelize.options.dialect !== 'postgres'
+  ) {
+    // the other dialects cannot create partial indexes through sequelize
+    throw new Error('uniqueOpenRevisions needs postgres');
+  }
+  const openRevisionIndexes = settings.uniqueOpenRevisions
+    ? [
+        {
+          name: revisionModelName + '_open',
+          unique: true,
+          fields: primaryKeyAttributes,
+          where: {
+            revisionValidTo: null,
+          },
+        },
+      ]
+    : [];
 
   const revisionModel = sequelize.define(
-    Model.name + modelNameSuffix,
+    revisionModelName,
     attributes,
-    {
+    _.assign(_.pickBy(_.pick(settings, ['tableName', 'schema'])), {
       timestamps: false,
       paranoid: false,
       indexes: [
@@ -93,149 +443,2629 @@ module.exports = function trackRevisions(Model) {
           fields: ['revisionValidTo'],
         },
         {
-          fields: [referenceModelPrimaryKey],
+          fields: primaryKeyAttributes,
         },
-      ],
+        {
+          fields: ['changesetId'],
+        },
+        {
+          fields: ['closedChangesetId'],
+        },
+      ].concat(
+        // fieldsToIgnore drops references, keep foreign keys quick to query
+        foreignKeys.map(foreignKey => {
+          return {
+            fields: [foreignKey],
+          };
+        }),
+        openRevisionIndexes
+      ),
       classMethods: {
         associate: associateFunction,
       },
-    }
+    })
   );
 
-  function associateFunction() {
-    function ensureNoPreviousRevision(record, options) {
-      const findOptions = {
-        where: {
-          revisionValidTo: null,
+  // revisionValidTo, destroyedBy and closedChangesetId are only known once a revision is closed
+  const hashedAttributes = _.omit(revisionModel.attributes, [
+    'revisionId',
+    'revisionValidTo',
+    'destroyedBy',
+    'closedChangesetId',
+    'revisionHash',
+  ]);
+
+  // append only records of what was done to the revisions
+  function defineAuditModel(name, idAttribute, attributes) {
+    const auditAttributes = {};
+    auditAttributes[idAttribute] = {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER,
+    };
+    const auditModel = sequelize.define(
+      revisionModel.name + '_' + name,
+      _.assign(auditAttributes, attributes),
+      _.assign(
+        _.pickBy({
+          tableName: settings.tableName && settings.tableName + '_' + name,
+          schema: settings.schema,
+        }),
+        {
+          timestamps: false,
+          paranoid: false,
+        }
+      )
+    );
+    function ensureNotChanging() {
+      throw new Error('cannot change ' + name + ' record');
+    }
+    auditModel.addHook('beforeUpdate', ensureNotChanging);
+    auditModel.addHook('beforeBulkUpdate', ensureNotChanging);
+    auditModel.addHook('beforeDestroy', ensureNotChanging);
+    auditModel.addHook('beforeBulkDestroy', ensureNotChanging);
+    return auditModel;
+  }
+  const pruneModel = settings.retention
+    ? defineAuditModel('prune', 'pruneId', {
+        prunedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
         },
-        transaction: options.transaction,
-      };
-      findOptions.where[referenceModelPrimaryKey] =
-        record[referenceModelPrimaryKey];
+        whoDunnit: {
+          type: Sequelize.STRING,
+          defaultValue: null,
+        },
+        retention: jsonAttribute('retention'),
+        deletedCount: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0,
+        },
+        deletedRevisionIds: jsonAttribute('deletedRevisionIds'),
+        // the revisionId and primary key of each deleted revision
+        deletedRevisions: jsonAttribute('deletedRevisions'),
+        collapsedRevisionIds: jsonAttribute('collapsedRevisionIds'),
+      })
+    : null;
+  const erasureModel = settings.erasure
+    ? defineAuditModel('erasure', 'erasureId', {
+        erasedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        whoDunnit: {
+          type: Sequelize.STRING,
+          defaultValue: null,
+        },
+        primaryKey: jsonAttribute('primaryKey'),
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: false,
+        },
+        erasedAttributes: jsonAttribute('erasedAttributes'),
+        revisionIds: jsonAttribute('revisionIds'),
+      })
+    : null;
+  const schemaModel = settings.trackSchema
+    ? defineAuditModel('schema', 'schemaId', {
+        schemaVersion: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        recordedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        attributeNames: jsonAttribute('attributeNames'),
+      })
+    : null;
 
-      return revisionModel.findOne(findOptions).then(revisionRecord => {
+  function associateFunction() {
+    function ensureNoPreviousRevision(record, options) {
+      return findOpenRevision(
+        primaryKeyOf(record),
+        options
+      ).then(revisionRecord => {
         if (revisionRecord) {
           return Sequelize.Promise.reject('previous revision on create');
         }
       });
     }
-    function ensurePreviousRevisionExists(record, options) {
-      const findOptions = {
-        where: {
-          revisionValidTo: null,
-        },
-        transaction: options.transaction,
-      };
-      findOptions.where[referenceModelPrimaryKey] =
-        record[referenceModelPrimaryKey];
+    function saveNewRevision(
+      record,
+      options,
+      operation,
+      changeset,
+      previousRecord,
+      startsAt
+    ) {
+      const newFields = _.pick(record.dataValues, _.keys(trackedAttributes));
+      newFields.revisionOperation = options.revisionOperation || operation;
+      newFields.changesetId = changeset.id;
 
-      return revisionModel.findOne(findOptions).then(function(revisionRecord) {
-        if (!revisionRecord) {
-          return Sequelize.Promise.reject('no previous revision exists');
+      _.assign(newFields, revisionAuthorFields(options));
+
+      return revisionModel
+        .create(newFields, {
+          transaction: options.transaction,
+          revisionTimestamp: startOf(record, changeset, startsAt),
+          previousRevision: previousRecord,
+          changedAttributes: record.changed() || [],
+        })
+        .then(revision => {
+          emitRevisionEvent('revision:created', revision, record, options);
+          return revision;
+        });
+    }
+    function saveCreateRevision(record, options) {
+      return saveNewRevision(
+        record,
+        options,
+        'create',
+        changesetOf(options),
+        null
+      );
+    }
+    // a soft delete leaves the row in place, so its history stays open
+    function isSoftDelete(options) {
+      return !!Model._timestampAttributes.deletedAt && !options.force;
+    }
+    function saveUpdateRevision(record, options) {
+      if (!hasTrackedChanges(record.changed() || [])) {
+        return;
+      }
+      return replaceOpenRevision(record, options, 'update');
+    }
+    function saveSoftDeleteRevision(record, options) {
+      return replaceOpenRevision(record, options, 'softDelete');
+    }
+    function saveRestoreRevision(record, options) {
+      return replaceOpenRevision(record, options, 'restore');
+    }
+    function replaceOpenRevision(record, options, operation) {
+      const changeset = changesetOf(options);
+      const primaryKey = primaryKeyOf(record);
+      // the open revision is only looked up when its values are needed,
+      // closing it is a single conditional UPDATE
+      const findPreviousRecord =
+        settings.storeChangedAttributes || settings.skipIdenticalRevisions
+          ? findOpenRevision(primaryKey, options)
+          : Sequelize.Promise.resolve(null);
+
+      return findPreviousRecord.then(previousRecord => {
+        if (
+          operation === 'update' &&
+          isIdenticalRevision(previousRecord, record, record.changed() || [])
+        ) {
+          return;
         }
+        return closeOpenRevisions(
+          [primaryKey],
+          changeset,
+          {},
+          options,
+          [record],
+          operation
+        ).then(startsAt => {
+          return saveNewRevision(
+            record,
+            options,
+            operation,
+            changeset,
+            previousRecord,
+            startsAt
+          );
+        });
+      });
+    }
+    function saveFinalRevision(record, options) {
+      if (isSoftDelete(options)) {
+        return saveSoftDeleteRevision(record, options);
+      }
+      const changeset = changesetOf(options);
+      return closeOpenRevisions(
+        [primaryKeyOf(record)],
+        changeset,
+        {
+          destroyedBy: whoDunnit.resolve(sequelize, options),
+        },
+        options,
+        [record]
+      ).then(startsAt => {
+        return insertRevisions(
+          [record],
+          options,
+          'destroy',
+          changeset,
+          startsAt
+        );
       });
     }
-    function saveNewRevision(record, options) {
-      const newFields = _.omit(record.dataValues, omittedAttributes);
-      const fallback =
-        process.env.whoDunnit || 'unknown user: ' + process.env.NODE_ENV;
-      newFields.whoDunnit = sequelize.whoDunnit || fallback;
 
-      return revisionModel.create(newFields, {
-        transaction: options.transaction,
+    function ensureRequiredMeta(record, options) {
+      const meta = whoDunnit.resolveMeta(options);
+      const missing = _.filter(settings.requiredMeta, key => {
+        return _.isNil(meta[key]);
       });
+      if (missing.length) {
+        throw new Error('missing revision metadata: ' + missing.join(', '));
+      }
     }
-    function saveFinalRevision(record, options) {
-      const findOptions = {
-        where: {
-          revisionValidTo: null,
+
+    function ensureRequiredMetaForBulk(options) {
+      return ensureRequiredMeta(null, options);
+    }
+
+    function emitClosedRevisions(
+      primaryKeys,
+      values,
+      startsAt,
+      options,
+      records
+    ) {
+      const destroyed = !!values.destroyedBy;
+      if (
+        !hasListeners('revision:closed') &&
+        !(destroyed && hasListeners('record:destroyed'))
+      ) {
+        return;
+      }
+      const where = primaryKeysWhere(primaryKeys);
+      where.revisionValidTo = {
+        $in: [values.revisionValidTo].concat(_.values(startsAt)),
+      };
+      return revisionModel
+        .findAll({
+          where: where,
+          transaction: options.transaction,
+        })
+        .then(revisions => {
+          const recordsByKey = _.keyBy(records, keyOf);
+          revisions.forEach(revision => {
+            const record = recordsByKey[keyOf(revision)] || null;
+            emitRevisionEvent('revision:closed', revision, record, options);
+            if (destroyed) {
+              emitRevisionEvent('record:destroyed', revision, record, options);
+            }
+          });
+        });
+    }
+    function closeOpenRevisions(
+      primaryKeys,
+      changeset,
+      values,
+      options,
+      records,
+      operation
+    ) {
+      values = _.assign(
+        {
+          revisionValidTo: changeset.timestamp,
+          closedChangesetId: changeset.id,
         },
-        transaction: options.transaction,
+        values
+      );
+      const where = primaryKeysWhere(primaryKeys);
+      where.revisionValidTo = null;
+      where.revisionValidFrom = {
+        $lte: changeset.timestamp,
       };
-      findOptions.where[referenceModelPrimaryKey] =
-        record[referenceModelPrimaryKey];
-
-      return revisionModel.findOne(findOptions).then(finalRevisionRecord => {
-        return finalRevisionRecord.update(
-          {
-            revisionValidTo: new Date(),
-          },
-          {
+      let startsAt = {};
+      return revisionModel
+        .update(values, {
+          where: where,
+          transaction: options.transaction,
+          hooks: false,
+        })
+        .spread(affectedRows => {
+          if (affectedRows === primaryKeys.length) {
+            return;
+          }
+          return closeLaterRevisions(
+            primaryKeys,
+            values,
+            options
+          ).then(closedAt => {
+            startsAt = closedAt;
+            if (affectedRows + _.size(closedAt) === primaryKeys.length) {
+              return;
+            }
+            return ensureHistoriesMayStart(
+              primaryKeys,
+              changeset,
+              values,
+              closedAt,
+              options,
+              operation
+            );
+          });
+        })
+        .then(() => {
+          return emitClosedRevisions(
+            primaryKeys,
+            values,
+            startsAt,
+            options,
+            records
+          );
+        })
+        .then(() => {
+          return startsAt;
+        });
+    }
+    // a record without an open revision may only get one when it has no revision
+    // at all and lenient is set, as rows that existed before tracking,
+    // see backfillRevisions, or when it is restored and an earlier version
+    // of this mixin closed its history on soft delete
+    function ensureHistoriesMayStart(
+      primaryKeys,
+      changeset,
+      values,
+      closedAt,
+      options,
+      operation
+    ) {
+      return revisionModel
+        .findAll({
+          where: primaryKeysWhere(primaryKeys),
+          attributes: [
+            'revisionId',
+            'revisionOperation',
+            'revisionValidTo',
+            'closedChangesetId',
+            'destroyedBy',
+          ].concat(primaryKeyAttributes),
+          order: [['revisionId', 'ASC']],
+          transaction: options.transaction,
+        })
+        .then(revisions => {
+          const latestByKey = _.keyBy(revisions, keyOf);
+          const mayStart = primaryKeys.every(primaryKey => {
+            const key = keyOf(primaryKeyWhere(primaryKey));
+            const latest = latestByKey[key];
+            if (!latest) {
+              return settings.lenient || operation === 'restore';
+            }
+            if (_.has(closedAt, key) || isClosedBy(latest, changeset, values)) {
+              return true;
+            }
+            return operation === 'restore' && hasEndedHistory(latest);
+          });
+          if (!mayStart) {
+            return Sequelize.Promise.reject('no previous revision exists');
+          }
+        });
+    }
+    function isClosedBy(revision, changeset, values) {
+      return (
+        revision.revisionOperation !== 'destroy' &&
+        revision.closedChangesetId === changeset.id &&
+        new Date(revision.revisionValidTo).valueOf() ===
+          new Date(values.revisionValidTo).valueOf()
+      );
+    }
+    function hasEndedHistory(revision) {
+      return (
+        !revision.revisionOperation ||
+        revision.revisionOperation === 'destroy' ||
+        !!revision.destroyedBy
+      );
+    }
+    // the timestamp of a transaction is that of its first write, another writer
+    // may have opened a revision since. It is closed when it started so that it does
+    // not end before it starts, and the next revision of its record starts there too
+    function closeLaterRevisions(primaryKeys, values, options) {
+      const where = primaryKeysWhere(primaryKeys);
+      where.revisionValidTo = null;
+      return revisionModel
+        .findAll({
+          where: where,
+          attributes: ['revisionId', 'revisionValidFrom'].concat(
+            primaryKeyAttributes
+          ),
+          transaction: options.transaction,
+        })
+        .then(openRevisions => {
+          const closedAt = {};
+          return Sequelize.Promise
+            .each(openRevisions, revision => {
+              return revisionModel
+                .update(
+                  _.assign({}, values, {
+                    revisionValidTo: revision.revisionValidFrom,
+                  }),
+                  {
+                    where: {
+                      revisionId: revision.revisionId,
+                      revisionValidTo: null,
+                    },
+                    transaction: options.transaction,
+                    hooks: false,
+                  }
+                )
+                .spread(affectedRows => {
+                  if (affectedRows) {
+                    closedAt[keyOf(revision)] = revision.revisionValidFrom;
+                  }
+                });
+            })
+            .then(() => {
+              return closedAt;
+            });
+        });
+    }
+    function startOf(record, changeset, startsAt) {
+      return (startsAt && startsAt[keyOf(record)]) || changeset.timestamp;
+    }
+    function insertRevisions(records, options, operation, changeset, startsAt) {
+      const authorFields = revisionAuthorFields(options);
+      // destroys change nothing, bulk updates know what they change,
+      // soft deletes and restores only change deletedAt
+      const changedAttributes =
+        operation === 'destroy'
+          ? []
+          : options.attributes
+            ? _.intersection(
+                _.keys(options.attributes),
+                _.keys(trackedAttributes)
+              )
+            : operation === 'softDelete' || operation === 'restore'
+              ? _.intersection(
+                  [Model._timestampAttributes.deletedAt],
+                  _.keys(trackedAttributes)
+                )
+              : null;
+      const revisions = records.map(record => {
+        const fields = trackedValuesOf(record);
+        _.assign(fields, authorFields, {
+          revisionOperation: operation,
+          revisionValidFrom: startOf(record, changeset, startsAt),
+          changesetId: changeset.id,
+        });
+        // a destroy keeps the final values, it starts and ends when the record is destroyed
+        if (operation === 'destroy') {
+          fields.revisionValidTo = fields.revisionValidFrom;
+          fields.closedChangesetId = changeset.id;
+        }
+        if (schemaVersion) {
+          fields.revisionSchemaVersion = schemaVersion;
+        }
+        if (settings.storeChangedAttributes) {
+          fields.changedAttributes =
+            changedAttributes ||
+            _.map(diff.diffValues({}, fields, trackedAttributes), 'attribute');
+        }
+        return fields;
+      });
+      return linkRevisions(revisions, options)
+        .then(() => {
+          return revisionModel.bulkCreate(revisions, {
             transaction: options.transaction,
+            hooks: false,
+          });
+        })
+        .then(revisionRecords => {
+          // destroys are announced by record:destroyed
+          if (operation === 'destroy') {
+            return revisionRecords;
           }
-        );
+          revisionRecords.forEach((revision, index) => {
+            emitRevisionEvent(
+              'revision:created',
+              revision,
+              records[index],
+              options
+            );
+          });
+          return revisionRecords;
+        });
+    }
+    // the values of a revision are redacted already, see saveBulkFinalRevisions
+    function trackedValuesOf(record) {
+      const values = _.pick(
+        record.get({ plain: true }),
+        _.keys(trackedAttributes)
+      );
+      if (!(record instanceof revisionModel.Instance)) {
+        return values;
+      }
+      return _.mapValues(values, (value, attributeName) => {
+        return redactModes[attributeName]
+          ? sensitive.keepRedacted(value)
+          : value;
       });
     }
+    function forEachBatch(items, fn) {
+      return Sequelize.Promise.each(_.chunk(items, settings.bulkBatchSize), fn);
+    }
 
-    // we want these revisions hooks to get raw db data
-    // so we need them to run before any other `after...` hooks
-    // so unshift() instead of addHook()
-    Model.options.hooks.afterCreate = Model.options.hooks.afterCreate || [];
-    Model.options.hooks.afterCreate.unshift(saveNewRevision);
-    Model.options.hooks.afterCreate.unshift(ensureNoPreviousRevision);
-
-    Model.options.hooks.afterUpdate = Model.options.hooks.afterUpdate || [];
-    Model.options.hooks.afterUpdate.unshift(saveNewRevision);
-    Model.options.hooks.afterUpdate.unshift(ensurePreviousRevisionExists);
-
-    Model.options.hooks.afterDestroy = Model.options.hooks.afterDestroy || [];
-    Model.options.hooks.afterDestroy.unshift(saveFinalRevision);
-    Model.options.hooks.afterDestroy.unshift(ensurePreviousRevisionExists);
-  }
+    function isMissingPrimaryKey(record) {
+      return _.some(primaryKeyAttributes, attribute => {
+        return _.isNil(record.get(attribute));
+      });
+    }
+    // only postgres returns the generated primary keys of a bulk insert,
+    // sqlite numbers the rows of an insert without keys one after the other up to last_insert_rowid()
+    function canReadGeneratedPrimaryKeys(records, options) {
+      return (
+        sequelize.options.dialect === 'sqlite' &&
+        _.isEqual(primaryKeyAttributes, [Model.autoIncrementField]) &&
+        _.every(records, isMissingPrimaryKey) &&
+        !options.ignoreDuplicates &&
+        !options.updateOnDuplicate
+      );
+    }
+    // without their keys the new rows cannot be matched to their revisions, they are
+    // inserted one by one instead. Rows that may be skipped as duplicates cannot be,
+    // those without a key get no revision
+    function ensureGeneratedPrimaryKeys(records, options) {
+      if (
+        options.individualHooks ||
+        sequelize.options.dialect === 'postgres' ||
+        !_.some(records, isMissingPrimaryKey) ||
+        canReadGeneratedPrimaryKeys(records, options) ||
+        options.ignoreDuplicates ||
+        options.updateOnDuplicate
+      ) {
+        return;
+      }
+      options.individualHooks = true;
+    }
+    function readGeneratedPrimaryKeys(records, options) {
+      if (!canReadGeneratedPrimaryKeys(records, options)) {
+        return Sequelize.Promise.resolve();
+      }
+      return sequelize
+        .query('SELECT last_insert_rowid() AS lastId', {
+          type: sequelize.QueryTypes.SELECT,
+          transaction: options.transaction,
+          plain: true,
+        })
+        .then(row => {
+          const firstId = row.lastId - records.length + 1;
+          records.forEach((record, index) => {
+            record.set(Model.autoIncrementField, firstId + index, {
+              raw: true,
+            });
+          });
+        });
+    }
+    function saveBulkCreateRevisions(records, options) {
+      if (options.individualHooks) {
+        return;
+      }
+      const changeset = changesetOf(options);
+      return readGeneratedPrimaryKeys(records, options).then(() => {
+        const keyed = _.reject(records, isMissingPrimaryKey);
+        return forEachBatch(keyed, batch => {
+          const where = primaryKeysWhere(_.map(batch, primaryKeyOf));
+          where.revisionValidTo = null;
+          return revisionModel
+            .count({
+              where: where,
+              transaction: options.transaction,
+            })
+            .then(count => {
+              if (count) {
+                return Sequelize.Promise.reject('previous revision on create');
+              }
+              return insertRevisions(batch, options, 'create', changeset);
+            });
+        });
+      });
+    }
+    function findBulkPrimaryKeys(options, where, paranoid) {
+      if (options.individualHooks) {
+        return;
+      }
+      return Model.findAll({
+        where: where,
+        attributes: primaryKeyAttributes,
+        transaction: options.transaction,
+        paranoid: paranoid,
+      }).then(records => {
+        options.revisionPrimaryKeys = _.map(records, primaryKeyOf);
+      });
+    }
+    function findBulkUpdatePrimaryKeys(options) {
+      if (!hasTrackedChanges(_.keys(options.attributes))) {
+        return;
+      }
+      // bulk updates change soft deleted rows too
+      return findBulkPrimaryKeys(options, options.where, false);
+    }
+    function findBulkDestroyPrimaryKeys(options) {
+      // a hard delete removes soft deleted rows too
+      const softDelete = isSoftDelete(options);
+      return findBulkPrimaryKeys(options, options.where, softDelete);
+    }
+    function findBulkRestorePrimaryKeys(options) {
+      const deleted = {};
+      deleted[Model._timestampAttributes.deletedAt] = {
+        $ne: null,
+      };
+      return findBulkPrimaryKeys(
+        options,
+        {
+          $and: [options.where || {}, deleted],
+        },
+        false
+      );
+    }
+    function withoutIdenticalRevisions(records, primaryKeys, options) {
+      if (!settings.skipIdenticalRevisions) {
+        return Sequelize.Promise.resolve(records);
+      }
+      const where = primaryKeysWhere(primaryKeys);
+      where.revisionValidTo = null;
+      return revisionModel
+        .findAll({
+          where: where,
+          transaction: options.transaction,
+        })
+        .then(openRevisions => {
+          const openRevisionsByKey = _.keyBy(openRevisions, keyOf);
+          return records.filter(record => {
+            return !isIdenticalRevision(
+              openRevisionsByKey[keyOf(record)],
+              record,
+              _.keys(options.attributes)
+            );
+          });
+        });
+    }
+    function replaceOpenRevisionsInBulk(options, operation) {
+      if (options.individualHooks || !options.revisionPrimaryKeys) {
+        return;
+      }
+      const changeset = changesetOf(options);
+      return forEachBatch(options.revisionPrimaryKeys, primaryKeys => {
+        return Model.findAll({
+          where: primaryKeysWhere(primaryKeys),
+          transaction: options.transaction,
+          paranoid: false,
+        })
+          .then(records => {
+            return operation === 'update'
+              ? withoutIdenticalRevisions(records, primaryKeys, options)
+              : records;
+          })
+          .then(records => {
+            if (!records.length) {
+              return;
+            }
+            return closeOpenRevisions(
+              _.map(records, primaryKeyOf),
+              changeset,
+              {},
+              options,
+              records,
+              operation
+            ).then(startsAt => {
+              return insertRevisions(
+                records,
+                options,
+                operation,
+                changeset,
+                startsAt
+              );
+            });
+          });
+      });
+    }
+    function saveBulkUpdateRevisions(options) {
+      return replaceOpenRevisionsInBulk(options, 'update');
+    }
+    function saveBulkRestoreRevisions(options) {
+      return replaceOpenRevisionsInBulk(options, 'restore');
+    }
+    function saveBulkDestroyRevisions(options) {
+      if (isSoftDelete(options)) {
+        return replaceOpenRevisionsInBulk(options, 'softDelete');
+      }
+      return saveBulkFinalRevisions(options);
+    }
+    // the destroyed rows are gone, their open revisions hold their final values.
+    // Rows the delete left in place, as with a limit, keep their history open
+    function saveBulkFinalRevisions(options) {
+      if (options.individualHooks || !options.revisionPrimaryKeys) {
+        return;
+      }
+      const changeset = changesetOf(options);
+      const values = {
+        destroyedBy: whoDunnit.resolve(sequelize, options),
+      };
+      return forEachBatch(options.revisionPrimaryKeys, primaryKeys => {
+        return Model.findAll({
+          where: primaryKeysWhere(primaryKeys),
+          attributes: primaryKeyAttributes,
+          transaction: options.transaction,
+          paranoid: false,
+        }).then(remaining => {
+          const remainingByKey = _.keyBy(remaining, keyOf);
+          const destroyed = primaryKeys.filter(primaryKey => {
+            return !_.has(remainingByKey, keyOf(primaryKeyWhere(primaryKey)));
+          });
+          if (!destroyed.length) {
+            return [];
+          }
+          const where = primaryKeysWhere(destroyed);
+          where.revisionValidTo = null;
+          return revisionModel
+            .findAll({
+              where: where,
+              transaction: options.transaction,
+            })
+            .then(openRevisions => {
+              return closeOpenRevisions(
+                destroyed,
+                changeset,
+                values,
+                options,
+                openRevisions.map(buildFromRevision)
+              ).then(startsAt => {
+                return insertRevisions(
+                  openRevisions,
+                  options,
+                  'destroy',
+                  changeset,
+                  startsAt
+                );
+              });
+            });
+        });
+      });
+    }
 
-  function ensureValidFromAndValidToNotSet(record) {
-    if (record.revisionValidFrom !== null) {
-      throw new Error('revisionValidFrom cannot be set manually');
+    function findUntrackedRecords(records, options) {
+      const where = primaryKeysWhere(_.map(records, primaryKeyOf));
+      where.revisionValidTo = null;
+      return revisionModel
+        .findAll({
+          where: where,
+          attributes: primaryKeyAttributes,
+          transaction: options.transaction,
+        })
+        .then(openRevisions => {
+          const tracked = _.map(openRevisions, keyOf);
+          return records.filter(record => {
+            return !_.includes(tracked, keyOf(record));
+          });
+        });
     }
-    if (record.revisionValidTo !== null) {
-      throw new Error('revisionValidTo cannot be set manually');
+    function isSoftDeletedRecord(record) {
+      const deletedAt = Model._timestampAttributes.deletedAt;
+      return !!deletedAt && !_.isNil(record.get(deletedAt));
     }
-  }
-  function setValidToOnPreviousAndValidFromOnCurrent(record, options) {
-    const findOptions = {
-      where: {
-        revisionValidTo: null,
-      },
-      transaction: options.transaction,
+    function insertBackfillRevisions(records, options, operation, changeset) {
+      return records.length
+        ? insertRevisions(records, options, operation, changeset)
+        : Sequelize.Promise.resolve([]);
+    }
+    function backfillBatch(afterPrimaryKey, changeset, options) {
+      const where =
+        afterPrimaryKey === undefined
+          ? {}
+          : keys.whereAfter(primaryKeyAttributes, afterPrimaryKey);
+      return Model.findAll({
+        where: where,
+        order: primaryKeyAttributes.map(attribute => {
+          return [attribute, 'ASC'];
+        }),
+        limit: options.batchSize,
+        transaction: options.transaction,
+        paranoid: false,
+      }).then(records => {
+        if (!records.length) {
+          return 0;
+        }
+        return findUntrackedRecords(records, options)
+          .then(untracked => {
+            // rows soft deleted before tracking start out soft deleted
+            const softDeleted = untracked.filter(isSoftDeletedRecord);
+            return insertBackfillRevisions(
+              _.difference(untracked, softDeleted),
+              options,
+              'backfill',
+              changeset
+            ).then(revisions => {
+              return insertBackfillRevisions(
+                softDeleted,
+                options,
+                'softDelete',
+                changeset
+              ).then(softDeleteRevisions => {
+                return revisions.concat(softDeleteRevisions);
+              });
+            });
+          })
+          .then(revisions => {
+            if (records.length < options.batchSize) {
+              return revisions.length;
+            }
+            return backfillBatch(
+              primaryKeyOf(_.last(records)),
+              changeset,
+              options
+            ).then(count => {
+              return revisions.length + count;
+            });
+          });
+      });
+    }
+
+    /**
+     * @function backfillRevisions
+     * @memberOf SequelizeRevisions
+     * @desc Record a baseline revision for every row without an open revision,
+     * like the rows of a table that existed before it was tracked.
+     * Soft deleted rows of paranoid models get a softDelete revision instead.
+     * Safe to run more than once
+     * @param {Object}      [options]
+     * @param {Number}      [options.batchSize]   - Rows per query, defaults to bulkBatchSize
+     * @param {String}      [options.whoDunnit]   - Author of the baseline revisions
+     * @param {Date}        [options.validFrom]   - revisionValidFrom of the baseline revisions, defaults to now
+     * @param {Transaction} [options.transaction]
+     * @return {Promise<Number>} The number of revisions recorded
+     */
+    Model.backfillRevisions = function(options) {
+      options = _.defaults({}, options, {
+        batchSize: settings.bulkBatchSize,
+      });
+      return Sequelize.Promise.try(() => {
+        const changeset = {
+          id: changesetOf(options).id,
+          timestamp: changes.ensureValidDate(options.validFrom || new Date()),
+        };
+        return backfillBatch(undefined, changeset, options);
+      });
     };
-    findOptions.where[referenceModelPrimaryKey] =
-      record[referenceModelPrimaryKey];
-    return revisionModel.findOne(findOptions).then(function(previousRecord) {
-      const timestamp = new Date();
-      record.revisionValidFrom = timestamp;
-      return previousRecord
-        ? previousRecord.update(
+
+    function pruneBatch(primaryKeys, policy, now, options) {
+      return revisionModel
+        .findAll({
+          where: primaryKeysWhere(primaryKeys),
+          attributes: [
+            'revisionId',
+            'revisionValidFrom',
+            'revisionValidTo',
+          ].concat(primaryKeyAttributes),
+          transaction: options.transaction,
+          raw: true,
+        })
+        .then(revisions => {
+          const plans = _.map(_.groupBy(revisions, keyOf), recordRevisions => {
+            return retention.planPrune(recordRevisions, policy, now);
+          });
+          const deleted = _.flatMap(plans, 'deleted');
+          const collapsed = _.flatMap(plans, 'collapsed');
+          // hooks: false skips the guards against changing revisions
+          return Sequelize.Promise
+            .each(collapsed, revision => {
+              return revisionModel.update(
+                {
+                  revisionValidFrom: new Date(revision.revisionValidFrom),
+                },
+                {
+                  where: {
+                    revisionId: revision.revisionId,
+                  },
+                  transaction: options.transaction,
+                  hooks: false,
+                }
+              );
+            })
+            .then(() => {
+              if (!deleted.length) {
+                return;
+              }
+              return revisionModel.destroy({
+                where: {
+                  revisionId: {
+                    $in: deleted,
+                  },
+                },
+                transaction: options.transaction,
+                hooks: false,
+              });
+            })
+            .then(() => {
+              const deletedIds = _.keyBy(deleted);
+              return {
+                deleted: deleted,
+                deletedRevisions: revisions
+                  .filter(revision => {
+                    return _.has(deletedIds, revision.revisionId);
+                  })
+                  .map(revision => {
+                    return _.pick(
+                      revision,
+                      ['revisionId'].concat(primaryKeyAttributes)
+                    );
+                  }),
+                collapsed: _.map(collapsed, 'revisionId'),
+              };
+            });
+        });
+    }
+
+    /**
+     * @function prune
+     * @memberOf SequelizeRevisions
+     * @desc Remove the revisions the retention policy does not keep,
+     * and record what was removed in RevisionModel.pruneModel
+     * @param {Object}      [options]
+     * @param {Number}      [options.keepLast]       - Overrides retention.keepLast
+     * @param {Number}      [options.maxAge]         - Overrides retention.maxAge
+     * @param {Boolean}     [options.dailySnapshots] - Overrides retention.dailySnapshots
+     * @param {String}      [options.whoDunnit]      - Who pruned
+     * @param {Transaction} [options.transaction]
+     * @return {Promise<SequelizeInstance>} The record of the prune
+     */
+    revisionModel.prune = function(options) {
+      options = options || {};
+      const policy = _.assign(
+        {},
+        settings.retention,
+        _.pick(options, ['keepLast', 'maxAge', 'dailySnapshots'])
+      );
+      if (!pruneModel || !retention.isPolicy(policy)) {
+        return Sequelize.Promise.reject(new Error('no retention policy'));
+      }
+      if (settings.hashChain && policy.dailySnapshots) {
+        return Sequelize.Promise.reject(
+          new Error('dailySnapshots cannot be combined with hashChain')
+        );
+      }
+      const now = new Date();
+      const pruned = { deleted: [], deletedRevisions: [], collapsed: [] };
+      return revisionModel
+        .findAll({
+          attributes: primaryKeyAttributes,
+          group: primaryKeyAttributes,
+          transaction: options.transaction,
+          raw: true,
+        })
+        .then(rows => {
+          return forEachBatch(_.map(rows, primaryKeyOf), primaryKeys => {
+            return pruneBatch(
+              primaryKeys,
+              policy,
+              now,
+              options
+            ).then(result => {
+              pruned.deleted = pruned.deleted.concat(result.deleted);
+              pruned.deletedRevisions = pruned.deletedRevisions.concat(
+                result.deletedRevisions
+              );
+              pruned.collapsed = pruned.collapsed.concat(result.collapsed);
+            });
+          });
+        })
+        .then(() => {
+          return pruneModel.create(
             {
-              revisionValidTo: timestamp,
+              prunedAt: now,
+              whoDunnit: whoDunnit.resolve(sequelize, options),
+              retention: policy,
+              deletedCount: pruned.deleted.length,
+              deletedRevisionIds: pruned.deleted,
+              deletedRevisions: pruned.deletedRevisions,
+              collapsedRevisionIds: pruned.collapsed,
             },
             {
               transaction: options.transaction,
             }
-          )
-        : undefined;
-    });
-  }
-  function ensureOnlyUpdatingValidToOnce(record) {
-    if (
-      _.includes(_.values(_.omit(record._changed, ['revisionValidTo'])), true)
-    ) {
-      throw new Error('cannot update revision');
-    } else if (record._previousDataValues.revisionValidTo) {
-      throw new Error('revisionValidTo already set');
+          );
+        });
+    };
+
+    // the revisionIds pruned from each record, by keyOf
+    function findPrunedRevisionIds(options) {
+      if (!pruneModel) {
+        return Sequelize.Promise.resolve({});
+      }
+      return migration
+        .tableExists(pruneModel)
+        .then(exists => {
+          return exists
+            ? pruneModel.findAll({
+                attributes: ['deletedRevisions'],
+                transaction: options.transaction,
+              })
+            : [];
+        })
+        .then(prunes => {
+          return _.mapValues(
+            _.groupBy(_.compact(_.flatMap(prunes, 'deletedRevisions')), keyOf),
+            deletedRevisions => {
+              return _.map(deletedRevisions, 'revisionId');
+            }
+          );
+        });
+    }
+    function verifyChains(primaryKeys, prunedRevisionIds, options) {
+      return revisionModel
+        .findAll({
+          where: primaryKeysWhere(primaryKeys),
+          order: [['revisionId', 'ASC']],
+          transaction: options.transaction,
+        })
+        .then(revisions => {
+          return _.flatMap(_.groupBy(revisions, keyOf), recordRevisions => {
+            return hashChain
+              .verifyChain(
+                _.map(recordRevisions, hashedValues),
+                hashedAttributes,
+                {
+                  prunedRevisionIds:
+                    prunedRevisionIds[keyOf(recordRevisions[0])],
+                }
+              )
+              .map(broken => {
+                return _.assign(
+                  broken,
+                  _.pick(recordRevisions[0], primaryKeyAttributes)
+                );
+              });
+          });
+        });
+    }
+    function ensureHashChain() {
+      if (!settings.hashChain) {
+        throw new Error('hashChain is not enabled');
+      }
+    }
+
+    /**
+     * @function verifyRevisionChain
+     * @memberOf SequelizeRevisions
+     * @desc Recompute the hashes of the revisions of a record and check how they link.
+     * revisionValidTo is checked against the next revision, destroyedBy and the end of the latest revision are not covered
+     * @param {*}           primaryKey
+     * @param {Object}      [options]
+     * @param {Transaction} [options.transaction]
+     * @return {Promise<Object[]>} A `{ revisionId, reason }` for every revision that was tampered with, empty when the chain is intact
+     */
+    revisionModel.verifyRevisionChain = function(primaryKey, options) {
+      return Sequelize.Promise.try(() => {
+        ensureHashChain();
+        options = options || {};
+        return findPrunedRevisionIds(options).then(prunedRevisionIds => {
+          return verifyChains([primaryKey], prunedRevisionIds, options);
+        });
+      });
+    };
+    /**
+     * @function verifyAll
+     * @memberOf SequelizeRevisions
+     * @desc verifyRevisionChain for every record with revisions, in batches of bulkBatchSize records
+     * @param {Object}      [options]
+     * @param {Transaction} [options.transaction]
+     * @return {Promise<Object[]>} A `{ revisionId, reason }` and the primary key of every revision that was tampered with
+     */
+    revisionModel.verifyAll = function(options) {
+      options = options || {};
+      let broken = [];
+      let prunedRevisionIds;
+      return Sequelize.Promise
+        .try(() => {
+          ensureHashChain();
+          return findPrunedRevisionIds(options);
+        })
+        .then(revisionIds => {
+          prunedRevisionIds = revisionIds;
+          return revisionModel.findAll({
+            attributes: primaryKeyAttributes,
+            group: primaryKeyAttributes,
+            transaction: options.transaction,
+            raw: true,
+          });
+        })
+        .then(rows => {
+          return forEachBatch(_.map(rows, primaryKeyOf), primaryKeys => {
+            return verifyChains(
+              primaryKeys,
+              prunedRevisionIds,
+              options
+            ).then(batchBroken => {
+              broken = broken.concat(batchBroken);
+            });
+          });
+        })
+        .then(() => {
+          return broken;
+        });
+    };
+
+    function checkIntervals(primaryKeys, options) {
+      return revisionModel
+        .findAll({
+          where: primaryKeysWhere(primaryKeys),
+          attributes: [
+            'revisionId',
+            'revisionOperation',
+            'revisionValidFrom',
+            'revisionValidTo',
+          ].concat(primaryKeyAttributes),
+          order: [['revisionId', 'ASC']],
+          transaction: options.transaction,
+          raw: true,
+        })
+        .then(revisions => {
+          return _.flatMap(_.groupBy(revisions, keyOf), recordRevisions => {
+            return intervals
+              .findInconsistencies(recordRevisions)
+              .map(inconsistency => {
+                return _.assign(
+                  inconsistency,
+                  _.pick(recordRevisions[0], primaryKeyAttributes)
+                );
+              });
+          });
+        });
+    }
+
+    /**
+     * @function assertIntervalsConsistent
+     * @memberOf SequelizeRevisions
+     * @desc Check that the revisions of every record follow each other without gaps or overlaps,
+     * and that only the latest is open, in batches of bulkBatchSize records
+     * @param {Object}      [options]
+     * @param {Transaction} [options.transaction]
+     * @return {Promise} Rejects with an error whose `inconsistencies` are a `{ revisionId, reason }`
+     * and the primary key of every revision that does not fit, see intervals.findInconsistencies
+     */
+    revisionModel.assertIntervalsConsistent = function(options) {
+      options = options || {};
+      let inconsistencies = [];
+      return revisionModel
+        .findAll({
+          attributes: primaryKeyAttributes,
+          group: primaryKeyAttributes,
+          transaction: options.transaction,
+          raw: true,
+        })
+        .then(rows => {
+          return forEachBatch(_.map(rows, primaryKeyOf), primaryKeys => {
+            return checkIntervals(primaryKeys, options).then(found => {
+              inconsistencies = inconsistencies.concat(found);
+            });
+          });
+        })
+        .then(() => {
+          if (inconsistencies.length) {
+            const error = new Error(
+              'inconsistent revision intervals: ' +
+                _.map(inconsistencies, 'revisionId').join(', ')
+            );
+            error.inconsistencies = inconsistencies;
+            return Sequelize.Promise.reject(error);
+          }
+        });
+    };
+
+    // erasing changes the hashed values, the erasure record stands in for them
+    function relinkRevisions(revisions, options) {
+      let previousHash;
+      return Sequelize.Promise.each(revisions, (revision, index) => {
+        const values = hashedValues(revision);
+        if (index > 0) {
+          values.previousRevisionHash = previousHash;
+        }
+        previousHash = hashChain.hashRevision(values, hashedAttributes);
+        return revisionModel.update(
+          {
+            revisionHash: previousHash,
+            previousRevisionHash: values.previousRevisionHash,
+          },
+          {
+            where: {
+              revisionId: revision.revisionId,
+            },
+            transaction: options.transaction,
+            hooks: false,
+          }
+        );
+      });
+    }
+    function needsPlaceholder(attributeName) {
+      return trackedAttributes[attributeName].allowNull === false;
+    }
+    function erasedValues(attributeNames) {
+      return _.zipObject(
+        attributeNames,
+        attributeNames.map(attributeName => {
+          return needsPlaceholder(attributeName) ? sensitive.placeholder : null;
+        })
+      );
+    }
+
+    /**
+     * @function eraseRevisionHistory
+     * @memberOf SequelizeRevisions
+     * @desc Anonymise attributes in every revision of a record, for erasure requests.
+     * revisionValidFrom and revisionValidTo stay as they are, so point in time queries still work
+     * @param {*}           primaryKey
+     * @param {Object}      options
+     * @param {String}      options.reason         - Why, kept in the erasure record
+     * @param {String[]}    [options.attributes]   - Defaults to every tracked attribute but the primary key
+     * @param {String}      [options.whoDunnit]    - Who erased
+     * @param {Transaction} [options.transaction]
+     * @return {Promise<SequelizeInstance>} The erasure record
+     */
+    Model.eraseRevisionHistory = function(primaryKey, options) {
+      options = options || {};
+      const attributeNames =
+        options.attributes ||
+        _.difference(_.keys(trackedAttributes), primaryKeyAttributes);
+      return Sequelize.Promise
+        .try(() => {
+          if (!erasureModel) {
+            throw new Error('erasure is not enabled');
+          }
+          if (!options.reason) {
+            throw new Error('an erasure needs a reason');
+          }
+          const notErasable = _.filter(attributeNames, attributeName => {
+            return (
+              !trackedAttributes[attributeName] ||
+              _.includes(primaryKeyAttributes, attributeName)
+            );
+          });
+          if (notErasable.length) {
+            throw new Error('cannot erase: ' + notErasable.join(', '));
+          }
+          const withoutPlaceholder = _.filter(attributeNames, attributeName => {
+            return (
+              needsPlaceholder(attributeName) &&
+              !_.includes(
+                placeholderTypes,
+                trackedAttributes[attributeName].type.key
+              )
+            );
+          });
+          if (withoutPlaceholder.length) {
+            throw new Error(
+              'cannot erase attributes that do not allow null and are not strings: ' +
+                withoutPlaceholder.join(', ')
+            );
+          }
+          return revisionModel.findAll({
+            where: primaryKeyWhere(primaryKey),
+            attributes: ['revisionId'],
+            order: [['revisionId', 'ASC']],
+            transaction: options.transaction,
+          });
+        })
+        .then(revisions => {
+          if (!revisions.length) {
+            return Sequelize.Promise.reject(new Error('revision not found'));
+          }
+          const revisionIds = _.map(revisions, 'revisionId');
+          return revisionModel
+            .update(erasedValues(attributeNames), {
+              where: {
+                revisionId: {
+                  $in: revisionIds,
+                },
+              },
+              transaction: options.transaction,
+              validate: false,
+              revisionErasure: true,
+            })
+            .then(() => {
+              if (!settings.hashChain) {
+                return;
+              }
+              return revisionModel
+                .findAll({
+                  where: {
+                    revisionId: {
+                      $in: revisionIds,
+                    },
+                  },
+                  order: [['revisionId', 'ASC']],
+                  transaction: options.transaction,
+                })
+                .then(erased => {
+                  return relinkRevisions(erased, options);
+                });
+            })
+            .then(() => {
+              return revisionIds;
+            });
+        })
+        .then(revisionIds => {
+          return erasureModel.create(
+            {
+              erasedAt: new Date(),
+              whoDunnit: whoDunnit.resolve(sequelize, options),
+              primaryKey: primaryKey,
+              reason: options.reason,
+              erasedAttributes: attributeNames,
+              revisionIds: revisionIds,
+            },
+            {
+              transaction: options.transaction,
+            }
+          );
+        });
+    };
+
+    if (settings.requiredMeta.length) {
+      Model.addHook('beforeCreate', ensureRequiredMeta);
+      Model.addHook('beforeUpdate', ensureRequiredMeta);
+      Model.addHook('beforeDestroy', ensureRequiredMeta);
+      Model.addHook('beforeBulkCreate', (records, options) => {
+        return ensureRequiredMetaForBulk(options);
+      });
+      Model.addHook('beforeBulkUpdate', ensureRequiredMetaForBulk);
+      Model.addHook('beforeBulkDestroy', ensureRequiredMetaForBulk);
+    }
+    Model.addHook('beforeBulkCreate', ensureGeneratedPrimaryKeys);
+    Model.addHook('beforeBulkUpdate', findBulkUpdatePrimaryKeys);
+    Model.addHook('beforeBulkDestroy', findBulkDestroyPrimaryKeys);
+
+    // we want these revisions hooks to get raw db data
+    // so we need them to run before any other `after...` hooks
+    // so unshift() instead of addHook()
+    Model.options.hooks.afterCreate = Model.options.hooks.afterCreate || [];
+    Model.options.hooks.afterCreate.unshift(saveCreateRevision);
+    Model.options.hooks.afterCreate.unshift(ensureNoPreviousRevision);
+
+    Model.options.hooks.afterUpdate = Model.options.hooks.afterUpdate || [];
+    Model.options.hooks.afterUpdate.unshift(saveUpdateRevision);
+
+    Model.options.hooks.afterDestroy = Model.options.hooks.afterDestroy || [];
+    Model.options.hooks.afterDestroy.unshift(saveFinalRevision);
+
+    Model.options.hooks.afterBulkCreate =
+      Model.options.hooks.afterBulkCreate || [];
+    Model.options.hooks.afterBulkCreate.unshift(saveBulkCreateRevisions);
+
+    Model.options.hooks.afterBulkUpdate =
+      Model.options.hooks.afterBulkUpdate || [];
+    Model.options.hooks.afterBulkUpdate.unshift(saveBulkUpdateRevisions);
+
+    Model.options.hooks.afterBulkDestroy =
+      Model.options.hooks.afterBulkDestroy || [];
+    Model.options.hooks.afterBulkDestroy.unshift(saveBulkDestroyRevisions);
+
+    if (Model._timestampAttributes.deletedAt) {
+      if (settings.requiredMeta.length) {
+        Model.addHook('beforeRestore', ensureRequiredMeta);
+        Model.addHook('beforeBulkRestore', ensureRequiredMetaForBulk);
+      }
+      Model.addHook('beforeBulkRestore', findBulkRestorePrimaryKeys);
+
+      Model.options.hooks.afterRestore = Model.options.hooks.afterRestore || [];
+      Model.options.hooks.afterRestore.unshift(saveRestoreRevision);
+
+      Model.options.hooks.afterBulkRestore =
+        Model.options.hooks.afterBulkRestore || [];
+      Model.options.hooks.afterBulkRestore.unshift(saveBulkRestoreRevisions);
+    }
+  }
+
+  const revisionEvents = new EventEmitter();
+  function hasListeners(event) {
+    return (
+      revisionEvents.listenerCount(event) > 0 || events.listenerCount(event) > 0
+    );
+  }
+  function emitRevisionEvent(event, revision, record, options) {
+    if (!hasListeners(event)) {
+      return;
+    }
+    const transaction = transactionOf(options);
+    const payload = {
+      model: Model.name,
+      revision: revision,
+      instance: record,
+      transaction: transaction,
+    };
+    whenCommitted(transaction, () => {
+      emitSafely(revisionEvents, event, payload);
+      emitSafely(events, event, payload);
+    });
+  }
+
+  function revisionAuthorFields(options) {
+    const meta = whoDunnit.resolveMeta(options);
+    const fields = _.pick(meta, _.keys(settings.metaAttributes));
+    fields.whoDunnit = whoDunnit.resolve(sequelize, options);
+    if (settings.storeRevisionMeta) {
+      fields.revisionMeta = _.isEmpty(meta) ? null : meta;
+    }
+    return fields;
+  }
+  function ensureValidFromAndValidToNotSet(record) {
+    if (record.revisionValidFrom !== null) {
+      throw new Error('revisionValidFrom cannot be set manually');
+    }
+    if (record.revisionValidTo !== null) {
+      throw new Error('revisionValidTo cannot be set manually');
+    }
+  }
+  function hasTrackedChanges(changedAttributes) {
+    return (
+      _.difference(
+        _.intersection(changedAttributes, _.keys(trackedAttributes)),
+        settings.ignoreChangesTo
+      ).length > 0
+    );
+  }
+  function isIdenticalRevision(previousRecord, record, changedAttributes) {
+    return (
+      settings.skipIdenticalRevisions &&
+      !!previousRecord &&
+      !diffRevisionValues(previousRecord, record, changedAttributes).length
+    );
+  }
+  function primaryKeyOf(record) {
+    return keys.valueOf(primaryKeyAttributes, record);
+  }
+  function keyOf(record) {
+    return keys.keyOf(primaryKeyAttributes, record);
+  }
+  function primaryKeyWhere(primaryKey) {
+    return keys.whereEquals(primaryKeyAttributes, primaryKey);
+  }
+  function primaryKeysWhere(primaryKeys) {
+    return keys.where(primaryKeyAttributes, primaryKeys);
+  }
+  // the open revision is locked until the transaction ends,
+  // where the dialect supports it
+  function findOpenRevision(primaryKey, options) {
+    const findOptions = {
+      where: _.assign(
+        {
+          revisionValidTo: null,
+        },
+        primaryKeyWhere(primaryKey)
+      ),
+      transaction: options.transaction,
+    };
+    const transaction = transactionOf(options);
+    if (transaction) {
+      findOptions.lock = transaction.LOCK.UPDATE;
+    }
+    return revisionModel.findOne(findOptions);
+  }
+  // the latest revisionId of each record first, the history of a record can be long
+  function findLatestRevisionHashes(primaryKeys, options) {
+    return revisionModel
+      .findAll({
+        where: primaryKeysWhere(primaryKeys),
+        attributes: [
+          [sequelize.fn('MAX', sequelize.col('revisionId')), 'revisionId'],
+        ],
+        group: primaryKeyAttributes,
+        transaction: options.transaction,
+        raw: true,
+      })
+      .then(latest => {
+        if (!latest.length) {
+          return [];
+        }
+        return revisionModel.findAll({
+          where: {
+            revisionId: {
+              $in: _.map(latest, 'revisionId'),
+            },
+          },
+          attributes: ['revisionHash'].concat(primaryKeyAttributes),
+          transaction: options.transaction,
+          raw: true,
+        });
+      })
+      .then(revisions => {
+        return _.mapValues(_.keyBy(revisions, keyOf), 'revisionHash');
+      });
+  }
+  // encrypted attributes are hashed as stored, their getters would hash the plaintext
+  function hashedValues(revision) {
+    return _.assign(
+      revision.get({ plain: true }),
+      _.pick(revision.dataValues, settings.encrypt)
+    );
+  }
+  function linkRevisions(revisions, options) {
+    if (!settings.hashChain || !revisions.length) {
+      return Sequelize.Promise.resolve();
+    }
+    return findLatestRevisionHashes(
+      _.map(revisions, primaryKeyOf),
+      options
+    ).then(previousHashes => {
+      revisions.forEach(revision => {
+        revision.previousRevisionHash = previousHashes[keyOf(revision)] || null;
+        // hashed as they read back, after redaction and encryption.
+        // The ciphertext that was hashed is the one written
+        const built = revisionModel.build(revision);
+        _.assign(revision, _.pick(built.dataValues, settings.encrypt));
+        revision.revisionHash = hashChain.hashRevision(
+          hashedValues(built),
+          hashedAttributes
+        );
+      });
+    });
+  }
+  function linkRevision(record, options) {
+    return findLatestRevisionHashes(
+      [primaryKeyOf(record)],
+      options
+    ).then(previousHashes => {
+      record.previousRevisionHash = previousHashes[keyOf(record)] || null;
+      record.revisionHash = hashChain.hashRevision(
+        hashedValues(record),
+        hashedAttributes
+      );
+    });
+  }
+  function setValidFrom(record, timestamp, previousRecord, changedAttributes) {
+    record.revisionValidFrom = timestamp;
+    if (settings.storeChangedAttributes) {
+      record.changedAttributes = _.map(
+        diffRevisionValues(previousRecord, record, changedAttributes),
+        'attribute'
+      );
+    }
+  }
+  function setValidToOnPreviousAndValidFromOnCurrent(record, options) {
+    if (options.revisionTimestamp) {
+      // the tracked model's hooks have already closed the previous revision
+      setValidFrom(
+        record,
+        options.revisionTimestamp,
+        options.previousRevision,
+        options.changedAttributes
+      );
+      return;
+    }
+    const changeset = changesetOf(options);
+    record.changesetId = changeset.id;
+    return findOpenRevision(primaryKeyOf(record), options).then(function(
+      previousRecord
+    ) {
+      // never before the start of the open revision, see closeLaterRevisions
+      const timestamp = previousRecord
+        ? _.max([changeset.timestamp, previousRecord.revisionValidFrom])
+        : changeset.timestamp;
+      setValidFrom(record, timestamp, previousRecord);
+      if (!previousRecord) {
+        return;
+      }
+      // only close it if nothing else did since it was read
+      return revisionModel
+        .update(
+          {
+            revisionValidTo: timestamp,
+            closedChangesetId: changeset.id,
+          },
+          {
+            where: {
+              revisionId: previousRecord.revisionId,
+              revisionValidTo: null,
+            },
+            transaction: options.transaction,
+            hooks: false,
+          }
+        )
+        .spread(affectedRows => {
+          if (!affectedRows) {
+            throw new Error('the open revision was closed concurrently');
+          }
+        });
+    });
+  }
+  function ensureOnlyUpdatingValidToOnce(record) {
+    if (
+      _.includes(
+        _.values(
+          _.omit(record._changed, [
+            'revisionValidTo',
+            'destroyedBy',
+            'closedChangesetId',
+          ])
+        ),
+        true
+      ) ||
+      (record.changed('destroyedBy') && !record.changed('revisionValidTo'))
+    ) {
+      throw new Error('cannot update revision');
+    } else if (record._previousDataValues.revisionValidTo) {
+      throw new Error('revisionValidTo already set');
     }
   }
   function ensureNotDeleting() {
     throw new Error('cannot delete revision');
   }
+  function ensureNotBulkUpdating(options) {
+    if (!options.revisionErasure) {
+      throw new Error('cannot update revision');
+    }
+  }
+
+  function validAt(date) {
+    return {
+      revisionValidFrom: {
+        $lte: date,
+      },
+      $or: [
+        {
+          revisionValidTo: null,
+        },
+        {
+          revisionValidTo: {
+            $gt: date,
+          },
+        },
+      ],
+    };
+  }
+  function notSoftDeleted() {
+    const deletedAt = Model._timestampAttributes.deletedAt;
+    const where = {};
+    if (deletedAt) {
+      where[deletedAt] = null;
+    }
+    return where;
+  }
+  // like regular finds of paranoid models, soft deleted records are left out unless paranoid is false
+  function asOfFindOptions(date, findOptions) {
+    findOptions = _.assign({}, findOptions);
+    const conditions = [findOptions.where || {}, validAt(date)];
+    if (findOptions.paranoid !== false) {
+      conditions.push(notSoftDeleted());
+    }
+    findOptions.where = {
+      $and: conditions,
+    };
+    return findOptions;
+  }
+  // the attributes of every recorded schema version, by version
+  let knownSchemas = null;
+  // a missing schema table knows no versions, until checkSchema records one
+  function loadSchemas(options) {
+    if (!schemaModel || knownSchemas) {
+      return Sequelize.Promise.resolve();
+    }
+    return migration
+      .tableExists(schemaModel)
+      .then(exists => {
+        return exists
+          ? schemaModel.findAll({
+              transaction: options && options.transaction,
+            })
+          : [];
+      })
+      .then(schemas => {
+        knownSchemas = _.mapValues(
+          _.keyBy(schemas, 'schemaVersion'),
+          'attributeNames'
+        );
+      });
+  }
+  // attributes tracked since the revision was written, it has no value for them.
+  // Revisions of unknown versions are taken to have them all
+  function attributesMissingFrom(revision) {
+    const attributes =
+      knownSchemas && knownSchemas[revision.revisionSchemaVersion];
+    return attributes
+      ? _.difference(_.keys(trackedAttributes), attributes)
+      : [];
+  }
+  function buildFromRevision(revision) {
+    if (!revision) {
+      return null;
+    }
+    const missing = attributesMissingFrom(revision);
+    const instance = Model.build(
+      _.assign(
+        _.omit(
+          _.pick(revision.get({ plain: true }), _.keys(trackedAttributes)),
+          _.keys(redactModes).concat(missing)
+        ),
+        // plain default values, sequelize does not apply them to existing records
+        _.pickBy(
+          _.mapValues(_.pick(Model.attributes, missing), 'defaultValue'),
+          value => {
+            return !_.isNil(value) && !_.isObject(value);
+          }
+        )
+      ),
+      {
+        isNewRecord: false,
+        raw: true,
+      }
+    );
+    return makeReadOnly(instance);
+  }
+
+  function associationKeys(association) {
+    switch (association.associationType) {
+      case 'BelongsTo':
+        return {
+          sourceKey: association.foreignKey,
+          targetKey: association.targetKey,
+        };
+      case 'HasOne':
+      case 'HasMany':
+        return {
+          sourceKey: association.sourceKey,
+          targetKey: association.foreignKey,
+        };
+    }
+    throw new Error(
+      'cannot read ' + association.associationType + ' associations as of'
+    );
+  }
+  // set the configured associations of instances
+  // from the revisions of the associated models, at the same date
+  function hydrateAssociations(instances, date, findOptions) {
+    const records = _.compact(instances);
+    if (!records.length) {
+      return Sequelize.Promise.resolve(instances);
+    }
+    // models already read further up, which would read this one again
+    const hydrating = (findOptions.hydratingModels || []).concat(Model.name);
+    return Sequelize.Promise
+      .each(settings.associations, as => {
+        const association = Model.associations[as];
+        if (!association) {
+          throw new Error('association not found: ' + as);
+        }
+        const target = association.target;
+        if (_.includes(hydrating, target.name)) {
+          return;
+        }
+        if (!target.revisionModel) {
+          throw new Error('associated model is not tracked: ' + target.name);
+        }
+        const keys = associationKeys(association);
+        if (!target.revisionModel.attributes[keys.targetKey]) {
+          throw new Error(target.name + ' does not track ' + keys.targetKey);
+        }
+        const where = {};
+        where[keys.targetKey] = {
+          $in: _.uniq(
+            _.reject(_.invokeMap(records, 'get', keys.sourceKey), _.isNil)
+          ),
+        };
+        return target
+          .findAllAsOf(date, {
+            where: where,
+            transaction: findOptions.transaction,
+            hydratingModels: hydrating,
+          })
+          .then(targets => {
+            const targetsByKey = _.groupBy(targets, targetInstance => {
+              return targetInstance.get(keys.targetKey);
+            });
+            records.forEach(record => {
+              const matches = targetsByKey[record.get(keys.sourceKey)] || [];
+              const value =
+                association.associationType === 'HasMany'
+                  ? matches
+                  : matches[0] || null;
+              record[as] = record.dataValues[as] = value;
+            });
+          });
+      })
+      .then(() => {
+        return instances;
+      });
+  }
+
+  /**
+   * @function findAsOf
+   * @memberOf SequelizeRevisions
+   * @desc Find a single record as it was at the given point in time
+   * @param {Date}     date          - The point in time
+   * @param {Object}   [findOptions] - Regular find options, `where` applies to the revision columns.
+   * Soft deleted records of paranoid models are left out unless `paranoid` is false
+   * @return {Promise<SequelizeInstance|null>} A read-only instance of Model
+   */
+  Model.findAsOf = function(date, findOptions) {
+    return loadSchemas(findOptions)
+      .then(() => {
+        return revisionModel.findOne(
+          asOfFindOptions(changes.ensureValidDate(date), findOptions)
+        );
+      })
+      .then(buildFromRevision)
+      .then(instance => {
+        return hydrateAssociations([instance], date, findOptions || {});
+      })
+      .then(_.head);
+  };
+  /**
+   * @function findAllAsOf
+   * @memberOf SequelizeRevisions
+   * @desc Find all records as they were at the given point in time
+   * @param {Date}     date          - The point in time
+   * @param {Object}   [findOptions] - Regular find options, `where` applies to the revision columns.
+   * Soft deleted records of paranoid models are left out unless `paranoid` is false
+   * @return {Promise<SequelizeInstance[]>} Read-only instances of Model
+   */
+  Model.findAllAsOf = function(date, findOptions) {
+    return loadSchemas(findOptions)
+      .then(() => {
+        return revisionModel.findAll(
+          asOfFindOptions(changes.ensureValidDate(date), findOptions)
+        );
+      })
+      .then(revisions => {
+        return hydrateAssociations(
+          revisions.map(buildFromRevision),
+          date,
+          findOptions || {}
+        );
+      });
+  };
+  /**
+   * @function asOf
+   * @memberOf SequelizeRevisions
+   * @desc This record as it was at the given point in time
+   * @param {Date}     date                  - The point in time
+   * @param {Object}   [options]
+   * @param {Transaction} [options.transaction]
+   * @return {Promise<SequelizeInstance|null>} A read-only instance of Model
+   */
+  Model.Instance.prototype.asOf = function(date, options) {
+    return Model.findAsOf(date, {
+      where: primaryKeyWhere(primaryKeyOf(this)),
+      transaction: options && options.transaction,
+    });
+  };
+
+  function findRevisionForRevert(primaryKey, target, options) {
+    const findOptions = {
+      where: primaryKeyWhere(primaryKey),
+      transaction: options.transaction,
+      paranoid: false,
+    };
+    return loadSchemas(options)
+      .then(() => {
+        if (_.isDate(target)) {
+          return revisionModel.findOne(
+            asOfFindOptions(changes.ensureValidDate(target), findOptions)
+          );
+        }
+        findOptions.where.revisionId = target;
+        return revisionModel.findOne(findOptions);
+      })
+      .then(revision => {
+        if (!revision) {
+          return Sequelize.Promise.reject(new Error('revision not found'));
+        }
+        return revision;
+      });
+  }
+  // redacted values cannot be written back
+  function revisionValues(revision) {
+    return _.omit(
+      _.pick(revision.get({ plain: true }), _.keys(trackedAttributes)),
+      timestampAttributes
+        .concat(_.compact([Model._timestampAttributes.deletedAt]))
+        .concat(_.keys(redactModes))
+        .concat(attributesMissingFrom(revision))
+    );
+  }
+
+  /**
+   * @function revertTo
+   * @memberOf SequelizeRevisions
+   * @desc Update this record with the values of a previous revision,
+   * which records a new revision like any other update
+   * @param {Number|Date} target                - A revisionId, or the point in time to revert to
+   * @param {Object}      [options]             - Regular update options
+   * @param {Transaction} [options.transaction]
+   * @return {Promise<SequelizeInstance>}
+   */
+  Model.Instance.prototype.revertTo = function(target, options) {
+    options = options || {};
+    return findRevisionForRevert(
+      primaryKeyOf(this),
+      target,
+      options
+    ).then(revision => {
+      return this.update(
+        _.omit(revisionValues(revision), primaryKeyAttributes),
+        options
+      );
+    });
+  };
+
+  // the values a revision of instance has, so redacted values compare
+  function revisionView(instance) {
+    if (!instance) {
+      return {};
+    }
+    if (instance instanceof revisionModel.Instance || _.isEmpty(redactModes)) {
+      return instance.get({ plain: true });
+    }
+    return revisionModel
+      .build(_.pick(instance.get({ plain: true }), _.keys(trackedAttributes)))
+      .get({ plain: true });
+  }
+  // changedAttributes names the attributes known to have changed,
+  // for the placeholders that compare equal whatever they stand for
+  function diffRevisionValues(from, to, changedAttributes) {
+    const fromValues = revisionView(from);
+    const toValues = revisionView(to);
+    const changes = diff.diffValues(fromValues, toValues, trackedAttributes);
+    const changedPlaceholders = _.filter(
+      _.intersection(changedAttributes, placeholderAttributes),
+      attribute => {
+        return !_.isNil(fromValues[attribute]) && !_.isNil(toValues[attribute]);
+      }
+    );
+    return _.sortBy(
+      changes.concat(
+        changedPlaceholders.map(attribute => {
+          return {
+            attribute: attribute,
+            from: fromValues[attribute],
+            to: toValues[attribute],
+          };
+        })
+      ),
+      change => {
+        return _.indexOf(_.keys(trackedAttributes), change.attribute);
+      }
+    ).map(change => {
+      if (!redactModes[change.attribute]) {
+        return change;
+      }
+      return _.assign(change, {
+        from: _.isNil(change.from) ? null : sensitive.placeholder,
+        to: _.isNil(change.to) ? null : sensitive.placeholder,
+      });
+    });
+  }
+  function findRevision(revision, options) {
+    if (revision instanceof revisionModel.Instance) {
+      return Sequelize.Promise.resolve(revision);
+    }
+    return revisionModel
+      .findById(revision, {
+        transaction: options.transaction,
+      })
+      .then(revisionRecord => {
+        if (!revisionRecord) {
+          return Sequelize.Promise.reject(new Error('revision not found'));
+        }
+        return revisionRecord;
+      });
+  }
+  // the attributes changed by the revisions after from, up to to
+  function findChangedAttributesBetween(from, to, options) {
+    if (!placeholderAttributes.length) {
+      return Sequelize.Promise.resolve([]);
+    }
+    return revisionModel
+      .findAll({
+        where: _.assign(
+          {
+            revisionId: {
+              $gt: from.revisionId,
+              $lte: to.revisionId,
+            },
+          },
+          primaryKeyWhere(primaryKeyOf(to))
+        ),
+        attributes: ['revisionId', 'changedAttributes'],
+        transaction: options.transaction,
+      })
+      .then(revisions => {
+        return _.union.apply(_, _.map(revisions, 'changedAttributes'));
+      });
+  }
+  function findPreviousRevision(revision, options) {
+    const findOptions = {
+      where: _.assign(
+        {
+          revisionId: {
+            $lt: revision.revisionId,
+          },
+        },
+        primaryKeyWhere(primaryKeyOf(revision))
+      ),
+      order: [['revisionId', 'DESC']],
+      transaction: options.transaction,
+    };
+    return revisionModel.findOne(findOptions);
+  }
+
+  /**
+   * @function diffRevisions
+   * @memberOf SequelizeRevisions
+   * @desc Compare two revisions attribute by attribute
+   * @param {SequelizeInstance|Number} from       - The older revision, or its revisionId
+   * @param {SequelizeInstance|Number} to         - The newer revision, or its revisionId
+   * @param {Object}      [options]
+   * @param {Transaction} [options.transaction]
+   * @return {Promise<Object[]>} A `{ attribute, from, to }` for every changed attribute
+   */
+  Model.diffRevisions = function(from, to, options) {
+    options = options || {};
+    return Sequelize.Promise
+      .all([findRevision(from, options), findRevision(to, options)])
+      .spread((fromRevision, toRevision) => {
+        return findChangedAttributesBetween(
+          fromRevision,
+          toRevision,
+          options
+        ).then(changedAttributes => {
+          return diffRevisionValues(
+            fromRevision,
+            toRevision,
+            changedAttributes
+          );
+        });
+      });
+  };
+  /**
+   * @function diff
+   * @memberOf SequelizeRevisions
+   * @desc Compare this revision with the previous revision of the same record.
+   * The first revision of a record is compared against empty values
+   * @param {Object}      [options]
+   * @param {Transaction} [options.transaction]
+   * @return {Promise<Object[]>} A `{ attribute, from, to }` for every changed attribute
+   */
+  revisionModel.Instance.prototype.diff = function(options) {
+    return findPreviousRevision(this, options || {}).then(previous => {
+      return diffRevisionValues(previous, this, this.changedAttributes);
+    });
+  };
+  /**
+   * @function previous
+   * @memberOf SequelizeRevisions
+   * @desc The revision of the same record before this one
+   * @param {Object}   [findOptions]   - Regular find options
+   * @return {Promise<SequelizeInstance|null>} null for the first revision
+   */
+  revisionModel.Instance.prototype.previous = function(findOptions) {
+    return revisionModel.findOne(
+      revisionFindOptions(
+        [
+          primaryKeyWhere(primaryKeyOf(this)),
+          { revisionId: { $lt: this.revisionId } },
+        ],
+        _.assign({ order: [['revisionId', 'DESC']] }, findOptions)
+      )
+    );
+  };
+  /**
+   * @function next
+   * @memberOf SequelizeRevisions
+   * @desc The revision of the same record after this one
+   * @param {Object}   [findOptions]   - Regular find options
+   * @return {Promise<SequelizeInstance|null>} null for the latest revision
+   */
+  revisionModel.Instance.prototype.next = function(findOptions) {
+    return revisionModel.findOne(
+      revisionFindOptions(
+        [
+          primaryKeyWhere(primaryKeyOf(this)),
+          { revisionId: { $gt: this.revisionId } },
+        ],
+        findOptions
+      )
+    );
+  };
+
+  // find options with conditions added to the where of the caller
+  function revisionFindOptions(conditions, findOptions) {
+    findOptions = _.assign({}, findOptions);
+    findOptions.where = {
+      $and: conditions.concat(findOptions.where || {}),
+    };
+    findOptions.order = findOptions.order || [['revisionId', 'ASC']];
+    return findOptions;
+  }
+  function recordedBetween(from, to) {
+    const revisionValidFrom = {};
+    if (!_.isNil(from)) {
+      revisionValidFrom.$gte = changes.ensureValidDate(from);
+    }
+    if (!_.isNil(to)) {
+      revisionValidFrom.$lt = changes.ensureValidDate(to);
+    }
+    return _.isEmpty(revisionValidFrom)
+      ? {}
+      : { revisionValidFrom: revisionValidFrom };
+  }
+  /**
+   * @function historyFor
+   * @memberOf SequelizeRevisions
+   * @desc Every revision of a record, oldest first
+   * @param {*}        primaryKey     - The primary key of the record, an object for composite keys
+   * @param {Object}   [findOptions]  - Regular find options such as order, limit, offset and transaction
+   * @return {Promise<SequelizeInstance[]>}
+   */
+  revisionModel.historyFor = function(primaryKey, findOptions) {
+    return revisionModel.findAll(
+      revisionFindOptions([primaryKeyWhere(primaryKey)], findOptions)
+    );
+  };
+  /**
+   * @function current
+   * @memberOf SequelizeRevisions
+   * @desc The open revision of a record, which holds its current values
+   * @param {*}        primaryKey     - The primary key of the record
+   * @param {Object}   [findOptions]  - Regular find options. The open revision of a soft deleted record
+   * of a paranoid model is left out unless `paranoid` is false
+   * @return {Promise<SequelizeInstance|null>} null when the record is destroyed
+   */
+  revisionModel.current = function(primaryKey, findOptions) {
+    const conditions = [primaryKeyWhere(primaryKey), { revisionValidTo: null }];
+    if (_.get(findOptions, 'paranoid') !== false) {
+      conditions.push(notSoftDeleted());
+    }
+    return revisionModel.findOne(revisionFindOptions(conditions, findOptions));
+  };
+  /**
+   * @function byAuthor
+   * @memberOf SequelizeRevisions
+   * @desc The revisions recorded by whoDunnit, oldest first
+   * @param {String}   whoDunnit
+   * @param {Object}   [range]
+   * @param {Date}     [range.from]    - Recorded at or after
+   * @param {Date}     [range.to]      - Recorded before
+   * @param {Object}   [findOptions]   - Regular find options
+   * @return {Promise<SequelizeInstance[]>}
+   */
+  revisionModel.byAuthor = function(whoDunnit, range, findOptions) {
+    range = range || {};
+    return revisionModel.findAll(
+      revisionFindOptions(
+        [{ whoDunnit: whoDunnit }, recordedBetween(range.from, range.to)],
+        findOptions
+      )
+    );
+  };
+  /**
+   * @function changedBetween
+   * @memberOf SequelizeRevisions
+   * @desc The revisions recorded in a period of time, of any record, oldest first
+   * @param {Date}     from            - Recorded at or after
+   * @param {Date}     to              - Recorded before
+   * @param {Object}   [findOptions]   - Regular find options
+   * @return {Promise<SequelizeInstance[]>}
+   */
+  revisionModel.changedBetween = function(from, to, findOptions) {
+    return revisionModel.findAll(
+      revisionFindOptions(
+        [
+          recordedBetween(
+            changes.ensureValidDate(from),
+            changes.ensureValidDate(to)
+          ),
+        ],
+        findOptions
+      )
+    );
+  };
+
+  const restoreParanoid = Model.restore;
+  /**
+   * @function restore
+   * @memberOf SequelizeRevisions
+   * @desc Recreate a destroyed record from its last revision,
+   * which records a new revision like any other create.
+   * Called with an options object it falls back to sequelize's own paranoid restore
+   * @param {*}           primaryKey            - The primary key of the destroyed record
+   * @param {Object}      [options]             - Regular create options
+   * @param {Transaction} [options.transaction]
+   * @return {Promise<SequelizeInstance>}
+   */
+  Model.restore = function(primaryKey, options) {
+    if (!keys.isValue(primaryKeyAttributes, primaryKey)) {
+      return restoreParanoid.apply(this, arguments);
+    }
+    options = options || {};
+    const findOptions = {
+      where: primaryKeyWhere(primaryKey),
+      order: [['revisionId', 'DESC']],
+      transaction: options.transaction,
+    };
+    return loadSchemas(options)
+      .then(() => {
+        return revisionModel.findOne(findOptions);
+      })
+      .then(revision => {
+        if (!revision) {
+          return Sequelize.Promise.reject(new Error('revision not found'));
+        }
+        if (revision.revisionValidTo === null) {
+          return Sequelize.Promise.reject(new Error('record is not destroyed'));
+        }
+        return Model.create(
+          revisionValues(revision),
+          _.assign({}, options, { revisionOperation: 'restore' })
+        );
+      });
+  };
+
+  // how to undo a changeset for a single record, or why it cannot be undone
+  function planChangesetRevert(changesetId, revisions, latest) {
+    const before = _.find(revisions, revision => {
+      return (
+        revision.closedChangesetId === changesetId &&
+        revision.changesetId !== changesetId
+      );
+    });
+    // the record changed again after the changeset
+    if (
+      latest.closedChangesetId !== changesetId &&
+      (latest.changesetId !== changesetId || latest.revisionValidTo !== null)
+    ) {
+      return { superseded: true };
+    }
+    return {
+      primaryKey: primaryKeyOf(latest),
+      before: before,
+      exists: latest.revisionValidTo === null,
+    };
+  }
+  function revertRecord(plan, options) {
+    if (!plan.before) {
+      return plan.exists
+        ? Model.findOne({
+            where: primaryKeyWhere(plan.primaryKey),
+            transaction: options.transaction,
+          }).then(record => {
+            return record.destroy(options);
+          })
+        : Sequelize.Promise.resolve();
+    }
+    const values = revisionValues(plan.before);
+    if (!plan.exists) {
+      return Model.create(
+        values,
+        _.assign({}, options, { revisionOperation: 'restore' })
+      );
+    }
+    return Model.findOne({
+      where: primaryKeyWhere(plan.primaryKey),
+      transaction: options.transaction,
+    }).then(record => {
+      return record.update(_.omit(values, primaryKeyAttributes), options);
+    });
+  }
+
+  /**
+   * @function revertChangeset
+   * @memberOf SequelizeRevisions
+   * @desc Undo every change a changeset made to records of this model:
+   * created records are destroyed, updated records get their previous values back
+   * and destroyed records are restored. The revert is a changeset of its own.
+   * Nothing is reverted when a record changed again after the changeset.
+   * Pass a transaction to revert all or nothing
+   * @param {String}      changesetId
+   * @param {Object}      [options]             - Regular create, update and destroy options
+   * @param {Transaction} [options.transaction]
+   * @return {Promise<Array>} The primary keys of the reverted records
+   */
+  Model.revertChangeset = function(changesetId, options) {
+    options = options || {};
+    return loadSchemas(options)
+      .then(() => {
+        return revisionModel.findAll({
+          where: {
+            $or: [
+              { changesetId: changesetId },
+              { closedChangesetId: changesetId },
+            ],
+          },
+          attributes: primaryKeyAttributes,
+          group: primaryKeyAttributes,
+          transaction: options.transaction,
+          raw: true,
+        });
+      })
+      .then(rows => {
+        const primaryKeys = _.map(rows, primaryKeyOf);
+        if (!primaryKeys.length) {
+          return [];
+        }
+        return revisionModel
+          .findAll({
+            where: primaryKeysWhere(primaryKeys),
+            order: [['revisionId', 'ASC']],
+            transaction: options.transaction,
+          })
+          .then(revisions => {
+            const plans = _.map(
+              _.groupBy(revisions, keyOf),
+              recordRevisions => {
+                return planChangesetRevert(
+                  changesetId,
+                  recordRevisions,
+                  _.last(recordRevisions)
+                );
+              }
+            );
+            if (_.some(plans, 'superseded')) {
+              return Sequelize.Promise.reject(
+                new Error('changeset has been superseded')
+              );
+            }
+            return Sequelize.Promise
+              .each(plans, plan => {
+                return revertRecord(plan, options);
+              })
+              .then(() => {
+                return _.map(plans, 'primaryKey');
+              });
+          });
+      });
+  };
+
+  function recordSchema() {
+    return schemaModel
+      .findOne({
+        where: {
+          schemaVersion: schemaVersion,
+        },
+      })
+      .then(schema => {
+        return (
+          schema ||
+          schemaModel.create({
+            schemaVersion: schemaVersion,
+            recordedAt: new Date(),
+            attributeNames: _.keys(trackedAttributes),
+          })
+        );
+      })
+      .then(() => {
+        knownSchemas = null;
+      });
+  }
+
+  /**
+   * @function checkSchema
+   * @memberOf SequelizeRevisions
+   * @desc Compare the revision model with its table, to run at startup.
+   * With trackSchema it also records the current schema version and its attributes in RevisionModel.schemaModel,
+   * once that table exists
+   * @param {Object}      [options]
+   * @param {Boolean}     [options.fix]   - Add the missing columns, and create the prune, erasure and schema tables
+   * that do not exist
+   * @return {Promise<Object>} `{ missing, extra, fixed, missingTables, schemaVersion }`, the columns the table lacks,
+   * the columns only the table has, the columns that were added and the audit tables that did not exist
+   */
+  revisionModel.checkSchema = function(options) {
+    options = options || {};
+    return Sequelize.Promise
+      .all([
+        migration.findDrift(revisionModel),
+        Sequelize.Promise.filter(
+          migration.auditModels(revisionModel),
+          model => {
+            return migration.tableExists(model).then(exists => {
+              return !exists;
+            });
+          }
+        ),
+      ])
+      .spread((drift, missingModels) => {
+        const fixed = options.fix ? drift.missing : [];
+        return migration
+          .addColumns(revisionModel, fixed)
+          .then(() => {
+            return options.fix
+              ? Sequelize.Promise.each(missingModels, model => {
+                  return model.sync();
+                })
+              : null;
+          })
+          .then(() => {
+            if (
+              schemaModel &&
+              (options.fix || !_.includes(missingModels, schemaModel))
+            ) {
+              return recordSchema();
+            }
+          })
+          .then(() => {
+            return {
+              missing: drift.missing,
+              extra: drift.extra,
+              fixed: fixed,
+              missingTables: _.map(missingModels, 'tableName'),
+              schemaVersion: schemaVersion,
+            };
+          });
+      });
+  };
 
   revisionModel.addHook('beforeCreate', ensureValidFromAndValidToNotSet);
   revisionModel.addHook(
     'beforeCreate',
     setValidToOnPreviousAndValidFromOnCurrent
   );
+  if (schemaVersion) {
+    revisionModel.addHook('beforeCreate', record => {
+      record.revisionSchemaVersion = schemaVersion;
+    });
+  }
+  if (settings.hashChain) {
+    revisionModel.addHook('beforeCreate', linkRevision);
+  }
   revisionModel.addHook('beforeUpdate', ensureOnlyUpdatingValidToOnce);
   revisionModel.addHook('beforeDestroy', ensureNotDeleting);
+  revisionModel.addHook('beforeBulkDestroy', ensureNotDeleting);
+  revisionModel.addHook('beforeBulkUpdate', ensureNotBulkUpdating);
   revisionModel.associate();
+  if (settings.revisionsAs) {
+    Model.hasMany(revisionModel, {
+      as: settings.revisionsAs,
+      foreignKey: primaryKeyAttributes[0],
+      constraints: false,
+    });
+  }
+  // a revisions association, of the model's own or by revisionsAs, keeps its getter
+  if (!Model.Instance.prototype.getRevisions) {
+    /**
+     * @function getRevisions
+     * @memberOf SequelizeRevisions
+     * @desc The revisions of this record, oldest first, like RevisionModel.historyFor.
+     * A plain method, not an association getter, unless revisionsAs is 'revisions'
+     * @param {Object}      [findOptions]   - Regular find options
+     * @return {Promise<SequelizeInstance[]>}
+     */
+    Model.Instance.prototype.getRevisions = function(findOptions) {
+      return revisionModel.historyFor(primaryKeyOf(this), findOptions);
+    };
+  }
+  revisionModel.pruneModel = pruneModel;
+  revisionModel.erasureModel = erasureModel;
+  revisionModel.schemaModel = schemaModel;
+  /**
+   * @member {EventEmitter} events
+   * @memberOf SequelizeRevisions
+   * @desc Emits `revision:created`, `revision:closed` and `record:destroyed`
+   * with `{ model, revision, instance, transaction }`, after the transaction commits
+   */
+  revisionModel.events = revisionEvents;
+  Model.revisionModel = revisionModel;
+  registry.register({
+    Model: Model,
+    revisionModel: revisionModel,
+    primaryKey:
+      primaryKeyAttributes.length === 1
+        ? primaryKeyAttributes[0]
+        : primaryKeyAttributes,
+  });
 
   return revisionModel;
 };
+
+/**
+ * @function withUser
+ * @memberOf SequelizeRevisions
+ * @desc Run fn with user as the whoDunnit of every revision written inside it
+ * @param {String}     user
+ * @param {Function}   fn
+ * @return {*} Whatever fn returns
+ */
+module.exports.withUser = whoDunnit.withUser;
+
+/**
+ * @function withRevisionMeta
+ * @memberOf SequelizeRevisions
+ * @desc Run fn with meta added to the metadata of every revision written inside it
+ * @param {Object}     meta
+ * @param {Function}   fn
+ * @return {*} Whatever fn returns
+ */
+module.exports.withRevisionMeta = whoDunnit.withRevisionMeta;
+
+/**
+ * @member {EventEmitter} events
+ * @memberOf SequelizeRevisions
+ * @desc The events of every revisions model, see RevisionModel.events
+ */
+module.exports.events = events;
+
+/**
+ * @function trackedModels
+ * @memberOf SequelizeRevisions
+ * @param {Sequelize}   [sequelize]   - Only the models of this sequelize instance
+ * @return {Object[]} `{ Model, revisionModel, primaryKey }` of every model passed to trackRevisions
+ */
+module.exports.trackedModels = registry.entries;
+
+/**
+ * @function changes
+ * @memberOf SequelizeRevisions
+ * @desc The revisions of every tracked model as one feed, oldest first
+ * @param {Object}      [options]     - since, until, whoDunnit, models, sequelize, limit, offset, see changes.changes
+ * @return {Promise<Object[]>} `{ model, primaryKey, operation, at, whoDunnit, revision }`
+ */
+module.exports.changes = changes.changes;
+
+/**
+ * @function changeset
+ * @memberOf SequelizeRevisions
+ * @desc Every change written in the same transaction, see changes.changeset
+ * @param {String}      changesetId   - The changesetId of any of its revisions
+ * @param {Object}      [options]     - sequelize, transaction
+ * @return {Promise<Object[]>} `{ model, primaryKey, operation, at, whoDunnit, revision }`
+ */
+module.exports.changeset = changes.changeset;
+
+/**
+ * @function revertChangeset
+ * @memberOf SequelizeRevisions
+ * @desc Undo a changeset across every tracked model, see Model.revertChangeset
+ * @param {String}      changesetId
+ * @param {Object}      [options]     - sequelize, transaction and regular write options
+ * @return {Promise<Object[]>} `{ model, primaryKey }` of every reverted record
+ */
+module.exports.revertChangeset = changes.revertChangeset;
+
+/**
+ * @function checkSchemas
+ * @memberOf SequelizeRevisions
+ * @desc RevisionModel.checkSchema for every tracked model, to run at startup
+ * @param {Object}      [options]
+ * @param {Sequelize}   [options.sequelize]   - Only the models of this sequelize instance
+ * @param {Boolean}     [options.fix]         - Add the missing columns
+ * @return {Promise<Object[]>} `{ model, missing, extra, fixed, schemaVersion }` of every tracked model
+ */
+module.exports.checkSchemas = options => {
+  options = options || {};
+  return Sequelize.Promise.mapSeries(
+    registry.entries(options.sequelize),
+    entry => {
+      return entry.revisionModel.checkSchema(options).then(report => {
+        return _.assign({ model: entry.Model.name }, report);
+      });
+    }
+  );
+};
+
+function revisionModelOf(model) {
+  if (model.revisionModel) {
+    return model.revisionModel;
+  }
+  if (model.attributes && model.attributes.revisionValidFrom) {
+    return model;
+  }
+  throw new Error('model is not tracked');
+}
+
+/**
+ * @function generateMigration
+ * @memberOf SequelizeRevisions
+ * @desc A sequelize-cli migration creating the table of a revision model
+ * @param {SequelizeModel}   model - A tracked model or the revision model returned by trackRevisions
+ * @return {String}
+ */
+module.exports.generateMigration = model => {
+  return migration.generateMigration(revisionModelOf(model));
+};
+
+/**
+ * @function generateDiffMigration
+ * @memberOf SequelizeRevisions
+ * @desc A sequelize-cli migration adding and removing the columns
+ * that differ between a revision model and its table
+ * @param {SequelizeModel}   model - A tracked model or the revision model returned by trackRevisions
+ * @return {Promise<String|null>} null when nothing differs
+ */
+module.exports.generateDiffMigration = model => {
+  return Sequelize.Promise.try(() => {
+    return migration.generateDiffMigration(revisionModelOf(model));
+  });
+};
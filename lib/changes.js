@@ -0,0 +1,256 @@
+/**
+ * @module changes
+ * @desc A time ordered feed of the revisions of every tracked model
+ *
+ */
+const _ = require('lodash');
+const Sequelize = require('sequelize');
+const registry = require('./registry');
+const keys = require('./keys');
+
+/**
+ * @function ensureValidDate
+ * @memberOf changes
+ * @param {Date|String|Number}   date
+ * @return {Date} date as a Date, throws when it is missing or invalid
+ */
+function ensureValidDate(date) {
+  const timestamp = new Date(date);
+  if (!date || isNaN(timestamp.valueOf())) {
+    throw new Error('invalid date');
+  }
+  return timestamp;
+}
+function between(since, until) {
+  const range = {};
+  if (since) {
+    range.$gte = since;
+  }
+  if (until) {
+    range.$lt = until;
+  }
+  return range;
+}
+function selectEntries(options) {
+  const tracked = registry.entries(options.sequelize);
+  if (!options.models) {
+    return tracked;
+  }
+  return options.models.map(name => {
+    const entry = _.find(tracked, tracked => {
+      return tracked.Model.name === name;
+    });
+    if (!entry) {
+      throw new Error('model is not tracked: ' + name);
+    }
+    return entry;
+  });
+}
+function toChange(entry, revision, destroyed) {
+  return {
+    model: entry.Model.name,
+    primaryKey: keys.valueOf(_.castArray(entry.primaryKey), revision),
+    operation: destroyed ? 'destroy' : revision.revisionOperation,
+    at: destroyed ? revision.revisionValidTo : revision.revisionValidFrom,
+    whoDunnit: destroyed ? revision.destroyedBy : revision.whoDunnit,
+    revision: revision,
+  };
+}
+// destroys are found through destroyedBy, which histories recorded before
+// the destroy operation existed have too
+function withoutDestroyRevisions(where) {
+  return _.assign(where, {
+    $or: [
+      { revisionOperation: null },
+      { revisionOperation: { $ne: 'destroy' } },
+    ],
+  });
+}
+// the first offset + limit changes of a single model
+function findChanges(entry, range, options) {
+  const findOptions = {
+    limit: options.offset + options.limit,
+    transaction: options.transaction,
+  };
+  const revisionsWhere = withoutDestroyRevisions({});
+  const destroysWhere = {
+    destroyedBy: options.whoDunnit || {
+      $ne: null,
+    },
+  };
+  if (!_.isEmpty(range)) {
+    revisionsWhere.revisionValidFrom = range;
+    destroysWhere.revisionValidTo = range;
+  }
+  if (options.whoDunnit) {
+    revisionsWhere.whoDunnit = options.whoDunnit;
+  }
+  return Sequelize.Promise
+    .all([
+      entry.revisionModel.findAll(
+        _.assign({}, findOptions, {
+          where: revisionsWhere,
+          order: [['revisionValidFrom', 'ASC'], ['revisionId', 'ASC']],
+        })
+      ),
+      entry.revisionModel.findAll(
+        _.assign({}, findOptions, {
+          where: destroysWhere,
+          order: [['revisionValidTo', 'ASC'], ['revisionId', 'ASC']],
+        })
+      ),
+    ])
+    .spread((revisions, destroys) => {
+      return revisions
+        .map(revision => {
+          return toChange(entry, revision, false);
+        })
+        .concat(
+          destroys.map(revision => {
+            return toChange(entry, revision, true);
+          })
+        );
+    });
+}
+
+/**
+ * @function changes
+ * @memberOf changes
+ * @desc Revisions of every tracked model merged oldest first,
+ * with a `destroy` change for every destroyed record
+ * @param {Object}      [options]
+ * @param {Date}        [options.since]       - Changes at or after
+ * @param {Date}        [options.until]       - Changes before
+ * @param {String}      [options.whoDunnit]   - Changes by
+ * @param {String[]}    [options.models]      - Names of the tracked models, all of them by default
+ * @param {Sequelize}   [options.sequelize]   - Only the models of this sequelize instance
+ * @param {Number}      [options.limit]       - Page size, defaults to 100
+ * @param {Number}      [options.offset]      - Changes to skip
+ * @param {Transaction} [options.transaction]
+ * @return {Promise<Object[]>} `{ model, primaryKey, operation, at, whoDunnit, revision }`
+ */
+function changes(options) {
+  options = _.defaults({}, options, {
+    limit: 100,
+    offset: 0,
+  });
+  return Sequelize.Promise
+    .try(() => {
+      const range = between(
+        options.since && ensureValidDate(options.since),
+        options.until && ensureValidDate(options.until)
+      );
+      return Sequelize.Promise.map(selectEntries(options), entry => {
+        return findChanges(entry, range, options);
+      });
+    })
+    .then(changesPerModel => {
+      return _.sortBy(_.flatten(changesPerModel), [
+        change => {
+          return new Date(change.at).valueOf();
+        },
+        'model',
+        change => {
+          return change.revision.revisionId;
+        },
+        change => {
+          return change.operation === 'destroy' ? 1 : 0;
+        },
+      ]).slice(options.offset, options.offset + options.limit);
+    });
+}
+
+/**
+ * @function changeset
+ * @memberOf changes
+ * @desc The changes of every tracked model that share a changeset id,
+ * by model and in the order they were written
+ * @param {String}      changesetId
+ * @param {Object}      [options]
+ * @param {Sequelize}   [options.sequelize]   - Only the models of this sequelize instance
+ * @param {Transaction} [options.transaction]
+ * @return {Promise<Object[]>} `{ model, primaryKey, operation, at, whoDunnit, revision }`
+ */
+function changeset(changesetId, options) {
+  options = options || {};
+  return Sequelize.Promise
+    .map(registry.entries(options.sequelize), entry => {
+      return Sequelize.Promise
+        .all([
+          entry.revisionModel.findAll({
+            where: withoutDestroyRevisions({
+              changesetId: changesetId,
+            }),
+            transaction: options.transaction,
+          }),
+          entry.revisionModel.findAll({
+            where: {
+              closedChangesetId: changesetId,
+              destroyedBy: {
+                $ne: null,
+              },
+            },
+            transaction: options.transaction,
+          }),
+        ])
+        .spread((revisions, destroys) => {
+          return revisions
+            .map(revision => {
+              return toChange(entry, revision, false);
+            })
+            .concat(
+              destroys.map(revision => {
+                return toChange(entry, revision, true);
+              })
+            );
+        });
+    })
+    .then(changesPerModel => {
+      return _.sortBy(_.flatten(changesPerModel), [
+        'model',
+        change => {
+          return change.revision.revisionId;
+        },
+        change => {
+          return change.operation === 'destroy' ? 1 : 0;
+        },
+      ]);
+    });
+}
+
+/**
+ * @function revertChangeset
+ * @memberOf changes
+ * @desc Model.revertChangeset for every tracked model.
+ * Pass a transaction to revert all or nothing
+ * @param {String}      changesetId
+ * @param {Object}      [options]             - Passed on to Model.revertChangeset
+ * @param {Sequelize}   [options.sequelize]   - Only the models of this sequelize instance
+ * @param {Transaction} [options.transaction]
+ * @return {Promise<Object[]>} `{ model, primaryKey }` of every reverted record
+ */
+function revertChangeset(changesetId, options) {
+  options = options || {};
+  const revertOptions = _.omit(options, 'sequelize');
+  return Sequelize.Promise
+    .mapSeries(registry.entries(options.sequelize), entry => {
+      return entry.Model
+        .revertChangeset(changesetId, revertOptions)
+        .then(primaryKeys => {
+          return primaryKeys.map(primaryKey => {
+            return {
+              model: entry.Model.name,
+              primaryKey: primaryKey,
+            };
+          });
+        });
+    })
+    .then(_.flatten);
+}
+
+module.exports = {
+  ensureValidDate: ensureValidDate,
+  changes: changes,
+  changeset: changeset,
+  revertChangeset: revertChangeset,
+};
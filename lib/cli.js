@@ -0,0 +1,99 @@
+/**
+ * @module cli
+ * @desc The sequelize-logbook command line
+ *
+ */
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const migration = require('./migration');
+
+const usage = [
+  'Usage: sequelize-logbook generate-migration --models <path> --model <name> [--diff] [--out <directory>]',
+  '',
+  '  --models   module exporting your sequelize instance, or an object with a sequelize key',
+  '             (like the models/index.js of sequelize-cli)',
+  '  --model    name of the tracked model',
+  '  --diff     only add / remove the columns that changed since the table was created',
+  '  --out      directory to write the migration to, prints it otherwise',
+].join('\n');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (_.startsWith(arg, '--')) {
+      const next = argv[i + 1];
+      if (next === undefined || _.startsWith(next, '--')) {
+        args[arg.slice(2)] = true;
+      } else {
+        args[arg.slice(2)] = next;
+        i++;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+function timestamp() {
+  return new Date()
+    .toISOString()
+    .replace(/[^\d]/g, '')
+    .slice(0, 14);
+}
+function loadRevisionModel(args) {
+  const exported = require(path.resolve(args.models));
+  const sequelize = exported.sequelize || exported;
+  const Model = sequelize.models && sequelize.models[args.model];
+  if (!Model) {
+    throw new Error('model not found: ' + args.model);
+  }
+  if (!Model.revisionModel) {
+    throw new Error('model is not tracked: ' + args.model);
+  }
+  return Model.revisionModel;
+}
+
+/**
+ * @function run
+ * @memberOf cli
+ * @param {String[]}   argv   - The command line arguments, without node and the script
+ * @return {Promise<String>} What to print
+ */
+function run(argv) {
+  const args = parseArgs(argv);
+  return Promise.resolve().then(() => {
+    if (args._[0] !== 'generate-migration' || !args.models || !args.model) {
+      throw new Error(usage);
+    }
+    const revisionModel = loadRevisionModel(args);
+    const source = args.diff
+      ? migration.generateDiffMigration(revisionModel)
+      : migration.generateMigration(revisionModel);
+    return Promise.resolve(source).then(source => {
+      if (!source) {
+        return 'revision table is up to date';
+      }
+      if (!args.out) {
+        return source;
+      }
+      const tableName = revisionModel.getTableName();
+      const file = path.join(
+        args.out,
+        timestamp() +
+          '-' +
+          (args.diff ? 'update-' : 'create-') +
+          _.kebabCase(tableName.tableName || tableName) +
+          '.js'
+      );
+      fs.writeFileSync(file, source);
+      return 'wrote ' + file;
+    });
+  });
+}
+
+module.exports = {
+  run: run,
+  usage: usage,
+};
@@ -0,0 +1,95 @@
+/**
+ * @module diff
+ * @desc Attribute level comparison of revisions
+ *
+ */
+const _ = require('lodash');
+
+/**
+ * @function typeKey
+ * @memberOf diff
+ * @param {Object}   [attributeDef]
+ * @return {String|undefined} The key of the type of the attribute, such as 'DATE'
+ */
+function typeKey(attributeDef) {
+  return attributeDef && attributeDef.type
+    ? attributeDef.type.key || attributeDef.type
+    : undefined;
+}
+function normalize(value, attributeDef) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  switch (typeKey(attributeDef)) {
+    case 'DATE':
+    case 'DATEONLY': {
+      const time = new Date(value).valueOf();
+      return isNaN(time) ? value : time;
+    }
+    case 'JSON':
+    case 'JSONB':
+      if (_.isString(value)) {
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return value;
+        }
+      }
+      return value;
+    case 'BLOB':
+      return Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  }
+  return value;
+}
+
+/**
+ * @function isEqualValue
+ * @memberOf diff
+ * @param {*}        a
+ * @param {*}        b
+ * @param {Object}   [attributeDef] - The sequelize attribute definition, used to compare by type
+ * @return {Boolean}
+ */
+function isEqualValue(a, b, attributeDef) {
+  a = normalize(a, attributeDef);
+  b = normalize(b, attributeDef);
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+    return a.equals(b);
+  }
+  return _.isEqual(a, b);
+}
+
+/**
+ * @function diffValues
+ * @memberOf diff
+ * @param {Object}   from         - The older values
+ * @param {Object}   to           - The newer values
+ * @param {Object}   attributes   - Map of attribute name to sequelize attribute definition
+ * @return {Object[]} A `{ attribute, from, to }` for every attribute that changed
+ */
+function diffValues(from, to, attributes) {
+  from = from || {};
+  to = to || {};
+  return _.reduce(
+    attributes,
+    (changes, attributeDef, attribute) => {
+      const fromValue = _.isUndefined(from[attribute]) ? null : from[attribute];
+      const toValue = _.isUndefined(to[attribute]) ? null : to[attribute];
+      if (!isEqualValue(fromValue, toValue, attributeDef)) {
+        changes.push({
+          attribute: attribute,
+          from: fromValue,
+          to: toValue,
+        });
+      }
+      return changes;
+    },
+    []
+  );
+}
+
+module.exports = {
+  typeKey: typeKey,
+  isEqualValue: isEqualValue,
+  diffValues: diffValues,
+};
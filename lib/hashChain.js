@@ -0,0 +1,146 @@
+/**
+ * @module hashChain
+ * @desc Tamper-evident hashes linking the revisions of a record
+ *
+ */
+const _ = require('lodash');
+const crypto = require('crypto');
+const intervals = require('./intervals');
+const diff = require('./diff');
+
+function sortKeys(value) {
+  if (_.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (_.isPlainObject(value)) {
+    return _.reduce(
+      _.keys(value).sort(),
+      (sorted, key) => {
+        sorted[key] = sortKeys(value[key]);
+        return sorted;
+      },
+      {}
+    );
+  }
+  return value;
+}
+// the same value has to hash the same whether it is about to be written
+// or was read back from the database, which may have changed its type
+function canonical(value, attributeDef) {
+  if (_.isNil(value)) {
+    return null;
+  }
+  switch (diff.typeKey(attributeDef)) {
+    case 'DATE':
+      return new Date(value).toISOString();
+    case 'DATEONLY':
+      return String(value).slice(0, 10);
+    case 'BOOLEAN':
+      return value === true || value === 1 || value === '1' || value === 'true';
+    case 'INTEGER':
+    case 'BIGINT':
+    case 'FLOAT':
+    case 'DOUBLE':
+    case 'REAL':
+    case 'DECIMAL':
+      return isNaN(Number(value)) ? String(value) : String(Number(value));
+    case 'BLOB':
+      return (Buffer.isBuffer(value)
+        ? value
+        : Buffer.from(String(value))
+      ).toString('base64');
+  }
+  if (_.isString(value)) {
+    try {
+      // JSON and the JSON encoded TEXT columns
+      const parsed = JSON.parse(value);
+      if (_.isObject(parsed)) {
+        return sortKeys(parsed);
+      }
+    } catch (e) {
+      return value;
+    }
+    return value;
+  }
+  if (_.isObject(value) && !_.isDate(value)) {
+    return sortKeys(value);
+  }
+  return _.isDate(value) ? value.toISOString() : String(value);
+}
+
+/**
+ * @function hashRevision
+ * @memberOf hashChain
+ * @param {Object}   values                - The values of the revision, including previousRevisionHash
+ * @param {Object}   attributes            - Map of attribute name to sequelize attribute definition, of the attributes to hash
+ * @return {String} A sha256 hex digest
+ */
+function hashRevision(values, attributes) {
+  const content = _.map(_.keys(attributes).sort(), attribute => {
+    return [attribute, canonical(values[attribute], attributes[attribute])];
+  });
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(content))
+    .digest('hex');
+}
+
+// the revision the first one links to is gone, which only pruning may do
+function isPrunedStart(revision, prunedRevisionIds) {
+  return _.some(prunedRevisionIds, revisionId => {
+    return revisionId < revision.revisionId;
+  });
+}
+
+/**
+ * @function verifyChain
+ * @memberOf hashChain
+ * @desc revisionValidTo is not hashed, it is checked against the revisionValidFrom of the next revision instead.
+ * That leaves the revisionValidTo of the latest revision unchecked
+ * @param {Object[]}   revisions                     - The revisions of a single record, oldest first
+ * @param {Object}     attributes                    - The attributes hashed by hashRevision
+ * @param {Object}     [options]
+ * @param {Number[]}   [options.prunedRevisionIds]   - Revisions of the same record deleted by pruning. The first revision
+ * may only link to a revision that is gone when an older revision of its record was pruned
+ * @return {Object[]} A `{ revisionId, reason }` for every revision whose hash or link does not match,
+ * or whose interval does not follow the previous one, see intervals.findInconsistencies
+ */
+function verifyChain(revisions, attributes, options) {
+  options = options || {};
+  const inconsistencies = _.groupBy(
+    intervals.findInconsistencies(revisions),
+    'revisionId'
+  );
+  return _.reduce(
+    revisions,
+    (broken, revision, index) => {
+      const previous = revisions[index - 1];
+      const expectedPreviousHash = previous ? previous.revisionHash : null;
+      if (hashRevision(revision, attributes) !== revision.revisionHash) {
+        broken.push({
+          revisionId: revision.revisionId,
+          reason: 'hash mismatch',
+        });
+      } else if (
+        revision.previousRevisionHash !== expectedPreviousHash &&
+        !(index === 0 && isPrunedStart(revision, options.prunedRevisionIds))
+      ) {
+        broken.push({
+          revisionId: revision.revisionId,
+          reason: 'broken link',
+        });
+      }
+      return broken.concat(
+        _.map(inconsistencies[revision.revisionId], inconsistency => {
+          return _.pick(inconsistency, ['revisionId', 'reason']);
+        })
+      );
+    },
+    []
+  );
+}
+
+module.exports = {
+  hashRevision: hashRevision,
+  verifyChain: verifyChain,
+};
@@ -0,0 +1,61 @@
+/**
+ * @module intervals
+ * @desc Checks that the revisions of a record follow each other without gaps or overlaps
+ *
+ */
+const _ = require('lodash');
+
+// a record destroyed before it was created again has a gap on purpose
+const startOperations = ['create', 'restore', 'backfill'];
+
+function timeOf(date) {
+  return _.isNil(date) ? null : new Date(date).valueOf();
+}
+
+/**
+ * @function findInconsistencies
+ * @memberOf intervals
+ * @param {Object[]}   revisions   - `{ revisionId, revisionOperation, revisionValidFrom, revisionValidTo }` of a single record, oldest first
+ * @return {Object[]} A `{ revisionId, reason }` for every revision that ends before it starts (`inverted`),
+ * starts before the previous revision ended (`overlap`) or after it ended (`gap`)
+ */
+function findInconsistencies(revisions) {
+  return _.reduce(
+    revisions,
+    (inconsistencies, revision, index) => {
+      const previous = revisions[index - 1];
+      const validFrom = timeOf(revision.revisionValidFrom);
+      const validTo = timeOf(revision.revisionValidTo);
+      if (validTo !== null && validTo < validFrom) {
+        inconsistencies.push({
+          revisionId: revision.revisionId,
+          reason: 'inverted',
+        });
+      }
+      if (!previous) {
+        return inconsistencies;
+      }
+      const previousValidTo = timeOf(previous.revisionValidTo);
+      if (previousValidTo === null || validFrom < previousValidTo) {
+        inconsistencies.push({
+          revisionId: revision.revisionId,
+          reason: 'overlap',
+        });
+      } else if (
+        validFrom > previousValidTo &&
+        !_.includes(startOperations, revision.revisionOperation)
+      ) {
+        inconsistencies.push({
+          revisionId: revision.revisionId,
+          reason: 'gap',
+        });
+      }
+      return inconsistencies;
+    },
+    []
+  );
+}
+
+module.exports = {
+  findInconsistencies: findInconsistencies,
+};
@@ -0,0 +1,143 @@
+/**
+ * @module keys
+ * @desc Primary keys of one or more columns. The value of a single column key is the value of that column,
+ * the value of a composite key is an object of the values of its columns
+ *
+ */
+const _ = require('lodash');
+
+/**
+ * @function attributesOf
+ * @memberOf keys
+ * @param {SequelizeModel}   Model
+ * @return {String[]} The names of the primary key attributes
+ */
+function attributesOf(Model) {
+  return Object.keys(Model.attributes).filter(field => {
+    return Model.attributes[field].primaryKey;
+  });
+}
+
+/**
+ * @function valueOf
+ * @memberOf keys
+ * @param {String[]}   attributes   - The names of the primary key attributes
+ * @param {Object}     record       - An instance, a revision or a raw row
+ * @return {*} The primary key of record
+ */
+function valueOf(attributes, record) {
+  if (attributes.length === 1) {
+    return record[attributes[0]];
+  }
+  return _.reduce(
+    attributes,
+    (value, attribute) => {
+      value[attribute] = record[attribute];
+      return value;
+    },
+    {}
+  );
+}
+
+/**
+ * @function isValue
+ * @memberOf keys
+ * @param {String[]}   attributes
+ * @param {*}          value
+ * @return {Boolean} Whether value is a primary key, rather than an options object
+ */
+function isValue(attributes, value) {
+  if (attributes.length === 1) {
+    return !_.isPlainObject(value) && value !== undefined;
+  }
+  return (
+    _.isPlainObject(value) &&
+    _.every(attributes, attribute => {
+      return _.has(value, attribute);
+    })
+  );
+}
+
+/**
+ * @function keyOf
+ * @memberOf keys
+ * @param {String[]}   attributes
+ * @param {Object}     record       - An instance, a revision or a raw row
+ * @return {String} The primary key of record as a string, to group and look up records by
+ */
+function keyOf(attributes, record) {
+  if (attributes.length === 1) {
+    return String(record[attributes[0]]);
+  }
+  return JSON.stringify(
+    attributes.map(attribute => {
+      return String(record[attribute]);
+    })
+  );
+}
+
+/**
+ * @function where
+ * @memberOf keys
+ * @param {String[]}   attributes
+ * @param {Array}      values       - Primary keys, as returned by valueOf
+ * @return {Object} A where clause matching any of the primary keys
+ */
+function where(attributes, values) {
+  if (attributes.length === 1) {
+    return _.set({}, attributes[0], {
+      $in: values,
+    });
+  }
+  return {
+    $or: values.map(value => {
+      return _.pick(value, attributes);
+    }),
+  };
+}
+
+/**
+ * @function whereEquals
+ * @memberOf keys
+ * @param {String[]}   attributes
+ * @param {*}          value        - A primary key, as returned by valueOf
+ * @return {Object} A where clause matching the primary key
+ */
+function whereEquals(attributes, value) {
+  if (attributes.length === 1) {
+    return _.set({}, attributes[0], value);
+  }
+  return _.pick(value, attributes);
+}
+
+/**
+ * @function whereAfter
+ * @memberOf keys
+ * @desc For keyset pagination ordered by the primary key attributes
+ * @param {String[]}   attributes
+ * @param {*}          value        - A primary key, as returned by valueOf
+ * @return {Object} A where clause matching the primary keys ordered after value
+ */
+function whereAfter(attributes, value) {
+  const values =
+    attributes.length === 1 ? _.set({}, attributes[0], value) : value;
+  return {
+    $or: attributes.map((attribute, index) => {
+      const clause = _.pick(values, attributes.slice(0, index));
+      clause[attribute] = {
+        $gt: values[attribute],
+      };
+      return clause;
+    }),
+  };
+}
+
+module.exports = {
+  attributesOf: attributesOf,
+  valueOf: valueOf,
+  isValue: isValue,
+  keyOf: keyOf,
+  where: where,
+  whereEquals: whereEquals,
+  whereAfter: whereAfter,
+};
@@ -0,0 +1,447 @@
+/**
+ * @module migration
+ * @desc Generates sequelize-cli migrations for revision tables
+ *
+ */
+const _ = require('lodash');
+const Sequelize = require('sequelize');
+
+const indent = '  ';
+
+// a piece of javascript that toSource writes out as is
+function Raw(source) {
+  this.source = source;
+}
+
+function quote(value) {
+  return (
+    "'" +
+    String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n') +
+    "'"
+  );
+}
+function toSource(value, depth) {
+  depth = depth || 0;
+  const padding = _.repeat(indent, depth + 1);
+  const closingPadding = _.repeat(indent, depth);
+  if (value instanceof Raw) {
+    return value.source;
+  }
+  if (_.isArray(value)) {
+    return (
+      '[' +
+      value
+        .map(item => {
+          return toSource(item, depth);
+        })
+        .join(', ') +
+      ']'
+    );
+  }
+  if (_.isPlainObject(value)) {
+    const lines = _.map(value, (item, key) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+      return padding + name + ': ' + toSource(item, depth + 1) + ',';
+    });
+    return lines.length
+      ? '{\n' + lines.join('\n') + '\n' + closingPadding + '}'
+      : '{}';
+  }
+  return _.isString(value) ? quote(value) : JSON.stringify(value);
+}
+
+function typeToSource(type) {
+  if (_.isString(type)) {
+    return quote(type);
+  }
+  const options = type.options || {};
+  let args = [];
+  switch (type.key) {
+    case 'STRING':
+    case 'CHAR':
+      args = _.isNil(options.length) ? [] : [options.length];
+      break;
+    case 'TEXT':
+    case 'BLOB':
+      args = _.isNil(options.length) ? [] : [options.length];
+      break;
+    case 'DECIMAL':
+    case 'FLOAT':
+    case 'DOUBLE':
+    case 'REAL':
+      args = _.reject([options.precision, options.scale], _.isNil);
+      break;
+    case 'ENUM':
+      args = options.values || type.values || [];
+      break;
+    case 'ARRAY':
+      return 'Sequelize.ARRAY(' + typeToSource(type.type) + ')';
+  }
+  return (
+    'Sequelize.' +
+    type.key +
+    (args.length
+      ? '(' +
+        args
+          .map(arg => {
+            return toSource(arg);
+          })
+          .join(', ') +
+        ')'
+      : '')
+  );
+}
+
+function defaultValueToSource(defaultValue) {
+  if (_.isNil(defaultValue)) {
+    return undefined;
+  }
+  if (defaultValue.key === 'NOW') {
+    return new Raw('Sequelize.NOW');
+  }
+  if (_.isObject(defaultValue) && !_.isPlainObject(defaultValue)) {
+    // UUIDV1, UUIDV4 and functions are filled in by sequelize, not the database
+    return undefined;
+  }
+  return defaultValue;
+}
+
+function columnDefinition(attribute) {
+  return _.omitBy(
+    {
+      type: new Raw(typeToSource(attribute.type)),
+      allowNull: attribute.allowNull,
+      primaryKey: attribute.primaryKey,
+      autoIncrement: attribute.autoIncrement,
+      unique: attribute.unique,
+      defaultValue: defaultValueToSource(attribute.defaultValue),
+      comment: attribute.comment,
+    },
+    _.isUndefined
+  );
+}
+function columns(revisionModel) {
+  return _.reduce(
+    revisionModel.attributes,
+    (map, attribute, name) => {
+      if (attribute.type.key !== 'VIRTUAL') {
+        map[attribute.field || name] = columnDefinition(attribute);
+      }
+      return map;
+    },
+    {}
+  );
+}
+function indexes(revisionModel) {
+  return _.map(revisionModel.options.indexes, index => {
+    return {
+      fields: _.map(index.fields, field => {
+        const attribute = revisionModel.attributes[field];
+        return (attribute && attribute.field) || field;
+      }),
+      // sync names every index, only unique ones need it
+      options: index.unique ? _.pick(index, ['name', 'unique', 'where']) : {},
+    };
+  });
+}
+// getTableName is an object for tables in a schema, queryInterface only reads these two
+function tableOf(revisionModel) {
+  const table = revisionModel.getTableName();
+  return _.isString(table)
+    ? table
+    : { tableName: table.tableName, schema: table.schema };
+}
+function migration(up, down) {
+  return (
+    "'use strict';\n\n" +
+    'module.exports = {\n' +
+    indent +
+    'up: function(queryInterface, Sequelize) {\n' +
+    up +
+    '\n' +
+    indent +
+    '},\n' +
+    indent +
+    'down: function(queryInterface, Sequelize) {\n' +
+    down +
+    '\n' +
+    indent +
+    '},\n' +
+    '};\n'
+  );
+}
+// statements are functions of the indentation depth they are written at
+function chain(statements) {
+  const body = _.repeat(indent, 2);
+  if (!statements.length) {
+    return body + 'return Sequelize.Promise.resolve();';
+  }
+  return (
+    body +
+    'return ' +
+    statements[0](2) +
+    statements
+      .slice(1)
+      .map(statement => {
+        return (
+          '.then(function() {\n' +
+          body +
+          indent +
+          'return ' +
+          statement(3) +
+          ';\n' +
+          body +
+          '})'
+        );
+      })
+      .join('') +
+    ';'
+  );
+}
+
+/**
+ * @function auditModels
+ * @memberOf migration
+ * @param {SequelizeModel}   revisionModel - A model returned by trackRevisions
+ * @return {SequelizeModel[]} The prune, erasure and schema models its options call for
+ */
+function auditModels(revisionModel) {
+  return _.compact([
+    revisionModel.pruneModel,
+    revisionModel.erasureModel,
+    revisionModel.schemaModel,
+  ]);
+}
+function createTable(model) {
+  const tableName = tableOf(model);
+  // without a prefix, addIndex names the indexes of a table in a schema after [object Object]
+  const prefix = _.isString(tableName) ? {} : { prefix: model.tableName };
+  return [
+    depth => {
+      return (
+        'queryInterface.createTable(' +
+        toSource(tableName, depth) +
+        ', ' +
+        toSource(columns(model), depth) +
+        ')'
+      );
+    },
+  ].concat(
+    indexes(model).map(index => {
+      const options = _.assign({}, prefix, index.options);
+      return depth => {
+        return (
+          'queryInterface.addIndex(' +
+          toSource(tableName, depth) +
+          ', ' +
+          toSource(index.fields, depth) +
+          (_.isEmpty(options) ? '' : ', ' + toSource(options, depth)) +
+          ')'
+        );
+      };
+    })
+  );
+}
+function dropTable(model) {
+  return depth => {
+    return 'queryInterface.dropTable(' + toSource(tableOf(model), depth) + ')';
+  };
+}
+
+/**
+ * @function generateMigration
+ * @memberOf migration
+ * @desc A migration creating the revision table, its columns and indexes,
+ * and the prune, erasure and schema tables its options call for
+ * @param {SequelizeModel}   revisionModel - A model returned by trackRevisions
+ * @return {String} The source of a sequelize-cli migration
+ */
+function generateMigration(revisionModel) {
+  const models = [revisionModel].concat(auditModels(revisionModel));
+  return migration(
+    chain(_.flatMap(models, createTable)),
+    chain(
+      models
+        .slice()
+        .reverse()
+        .map(dropTable)
+    )
+  );
+}
+/**
+ * @function tableExists
+ * @memberOf migration
+ * @desc Whether the table of model exists, without a query that fails and aborts a postgres transaction
+ * @param {SequelizeModel}   model
+ * @return {Promise<Boolean>}
+ */
+function tableExists(model) {
+  // sqlite and postgres describe a table that does not exist as having no columns, mysql rejects
+  return model.sequelize
+    .getQueryInterface()
+    .describeTable(model.getTableName())
+    .then(
+      existingColumns => {
+        return !_.isEmpty(existingColumns);
+      },
+      () => {
+        return false;
+      }
+    );
+}
+
+/**
+ * @function generateDiffMigration
+ * @memberOf migration
+ * @desc A migration adding and removing the columns that differ
+ * between the revision model and its table in the database,
+ * and creating the revision, prune, erasure and schema tables that do not exist yet.
+ * Added columns allow null, the revisions already in the table have no value for them
+ * @param {SequelizeModel}   revisionModel - A model returned by trackRevisions
+ * @return {Promise<String|null>} The source of a sequelize-cli migration, or null when nothing differs
+ */
+function generateDiffMigration(revisionModel) {
+  const tableName = tableOf(revisionModel);
+  const models = [revisionModel].concat(auditModels(revisionModel));
+  return Sequelize.Promise
+    .filter(models, model => {
+      return tableExists(model).then(exists => {
+        return !exists;
+      });
+    })
+    .then(missingModels => {
+      // a revision table that does not exist is created with all of its columns
+      const drift = _.includes(missingModels, revisionModel)
+        ? { missing: [], extra: [], existingColumns: {} }
+        : findDrift(revisionModel);
+      return Sequelize.Promise.all([drift, missingModels]);
+    })
+    .spread((drift, missingModels) => {
+      const modelColumns = columns(revisionModel);
+      const existingColumns = drift.existingColumns;
+      const added = drift.missing;
+      const removed = drift.extra;
+      if (!added.length && !removed.length && !missingModels.length) {
+        return null;
+      }
+      function addColumn(column, definition) {
+        return depth => {
+          return (
+            'queryInterface.addColumn(' +
+            toSource(tableName, depth) +
+            ', ' +
+            quote(column) +
+            ', ' +
+            toSource(definition, depth) +
+            ')'
+          );
+        };
+      }
+      function removeColumn(column) {
+        return depth => {
+          return (
+            'queryInterface.removeColumn(' +
+            toSource(tableName, depth) +
+            ', ' +
+            quote(column) +
+            ')'
+          );
+        };
+      }
+      function describedColumn(column) {
+        return _.omitBy(
+          {
+            type: existingColumns[column].type,
+            allowNull: existingColumns[column].allowNull,
+          },
+          _.isUndefined
+        );
+      }
+      return migration(
+        chain(
+          added
+            .map(column => {
+              return addColumn(
+                column,
+                _.assign({}, modelColumns[column], { allowNull: true })
+              );
+            })
+            .concat(removed.map(removeColumn))
+            .concat(_.flatMap(missingModels, createTable))
+        ),
+        chain(
+          missingModels
+            .slice()
+            .reverse()
+            .map(dropTable)
+            .concat(added.map(removeColumn))
+            .concat(
+              removed.map(column => {
+                return addColumn(column, describedColumn(column));
+              })
+            )
+        )
+      );
+    });
+}
+
+/**
+ * @function findDrift
+ * @memberOf migration
+ * @desc Compare the columns of the revision model with its table in the database
+ * @param {SequelizeModel}   revisionModel - A model returned by trackRevisions
+ * @return {Promise<Object>} `{ missing, extra, existingColumns }`, the columns the table lacks,
+ * the columns only the table has and the table as described by the database
+ */
+function findDrift(revisionModel) {
+  return revisionModel.sequelize
+    .getQueryInterface()
+    .describeTable(revisionModel.getTableName())
+    .then(existingColumns => {
+      const modelColumns = _.keys(columns(revisionModel));
+      return {
+        missing: _.difference(modelColumns, _.keys(existingColumns)),
+        extra: _.difference(_.keys(existingColumns), modelColumns),
+        existingColumns: existingColumns,
+      };
+    });
+}
+
+/**
+ * @function addColumns
+ * @memberOf migration
+ * @desc Add columns of the revision model to its table. They allow null,
+ * the revisions already in the table have no value for them
+ * @param {SequelizeModel}   revisionModel - A model returned by trackRevisions
+ * @param {String[]}         columnNames   - As returned by findDrift
+ * @return {Promise}
+ */
+function addColumns(revisionModel, columnNames) {
+  const queryInterface = revisionModel.sequelize.getQueryInterface();
+  const attributesByColumn = _.keyBy(
+    _.values(revisionModel.attributes),
+    'field'
+  );
+  return Sequelize.Promise.each(columnNames, columnName => {
+    const attribute = attributesByColumn[columnName];
+    return queryInterface.addColumn(
+      revisionModel.getTableName(),
+      columnName,
+      _.assign(_.pick(attribute, ['type', 'defaultValue', 'comment']), {
+        allowNull: true,
+      })
+    );
+  });
+}
+
+module.exports = {
+  generateMigration: generateMigration,
+  generateDiffMigration: generateDiffMigration,
+  findDrift: findDrift,
+  addColumns: addColumns,
+  auditModels: auditModels,
+  tableExists: tableExists,
+};
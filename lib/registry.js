@@ -0,0 +1,43 @@
+/**
+ * @module registry
+ * @desc Every model passed to trackRevisions
+ *
+ */
+const _ = require('lodash');
+
+const trackedModels = [];
+
+/**
+ * @function register
+ * @memberOf registry
+ * @desc Tracking a model with the same name on the same sequelize instance again replaces it
+ * @param {Object}   entry                 - `{ Model, revisionModel, primaryKey }`, primaryKey is the name of the primary key attribute, or their names for a composite key
+ */
+function register(entry) {
+  _.remove(trackedModels, tracked => {
+    return (
+      tracked.Model.sequelize === entry.Model.sequelize &&
+      tracked.Model.name === entry.Model.name
+    );
+  });
+  trackedModels.push(entry);
+}
+
+/**
+ * @function entries
+ * @memberOf registry
+ * @param {Sequelize}   [sequelize]   - Only the models of this sequelize instance
+ * @return {Object[]} `{ Model, revisionModel, primaryKey }` of every tracked model
+ */
+function entries(sequelize) {
+  return sequelize
+    ? _.filter(trackedModels, tracked => {
+        return tracked.Model.sequelize === sequelize;
+      })
+    : trackedModels.slice();
+}
+
+module.exports = {
+  register: register,
+  entries: entries,
+};
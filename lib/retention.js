@@ -0,0 +1,86 @@
+/**
+ * @module retention
+ * @desc Decides which revisions a retention policy prunes
+ *
+ */
+const _ = require('lodash');
+
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * @function isPolicy
+ * @memberOf retention
+ * @param {Object}   [policy]
+ * @return {Boolean} Whether the policy prunes anything at all
+ */
+function isPolicy(policy) {
+  return (
+    !!policy &&
+    (!_.isNil(policy.keepLast) ||
+      !_.isNil(policy.maxAge) ||
+      !!policy.dailySnapshots)
+  );
+}
+
+/**
+ * @function planPrune
+ * @memberOf retention
+ * @desc Open revisions are always kept. Of the closed ones, a revision is pruned when it is
+ * not one of the newest `keepLast` of its record and closed more than `maxAge` ago.
+ * With `dailySnapshots` the pruned revisions of a record are collapsed into the last revision of their day,
+ * which takes over their revisionValidFrom, instead of being deleted
+ * @param {Object[]}   revisions                  - `{ revisionId, revisionValidFrom, revisionValidTo }` of a single record
+ * @param {Object}     policy
+ * @param {Number}     [policy.keepLast]          - Always keep this many of the newest revisions
+ * @param {Number}     [policy.maxAge]            - Always keep revisions closed less than this many milliseconds ago
+ * @param {Boolean}    [policy.dailySnapshots]    - Collapse pruned revisions to one per day
+ * @param {Date}       now
+ * @return {Object} `{ deleted, collapsed }`, the revisionIds to delete
+ * and a `{ revisionId, revisionValidFrom }` for every revision to extend
+ */
+function planPrune(revisions, policy, now) {
+  const newestFirst = _.orderBy(revisions, ['revisionId'], ['desc']);
+  const candidates = _.filter(
+    newestFirst.slice(policy.keepLast || 0),
+    revision => {
+      return (
+        revision.revisionValidTo !== null &&
+        (_.isNil(policy.maxAge) ||
+          new Date(revision.revisionValidTo).valueOf() <=
+            now.valueOf() - policy.maxAge)
+      );
+    }
+  );
+  if (!policy.dailySnapshots) {
+    return {
+      deleted: _.map(candidates, 'revisionId'),
+      collapsed: [],
+    };
+  }
+  return _.reduce(
+    _.groupBy(candidates, revision => {
+      return dayOf(revision.revisionValidFrom);
+    }),
+    (plan, day) => {
+      // day is newest first, keep its last revision
+      const kept = day[0];
+      const first = _.last(day);
+      if (day.length > 1) {
+        plan.deleted = plan.deleted.concat(_.map(day.slice(1), 'revisionId'));
+        plan.collapsed.push({
+          revisionId: kept.revisionId,
+          revisionValidFrom: first.revisionValidFrom,
+        });
+      }
+      return plan;
+    },
+    { deleted: [], collapsed: [] }
+  );
+}
+
+module.exports = {
+  isPolicy: isPolicy,
+  planPrune: planPrune,
+};
@@ -0,0 +1,209 @@
+/**
+ * @module sensitive
+ * @desc Redaction and encryption of the attributes copied into revisions
+ *
+ */
+const _ = require('lodash');
+const crypto = require('crypto');
+const Sequelize = require('sequelize');
+
+const placeholder = '[REDACTED]';
+const encryptedPrefix = 'enc:v1:';
+const redactModes = ['hash', 'placeholder'];
+
+function deriveKey(key) {
+  return Buffer.isBuffer(key) && key.length === 32
+    ? key
+    : crypto
+        .createHash('sha256')
+        .update(String(key))
+        .digest();
+}
+
+/**
+ * @function encrypt
+ * @memberOf sensitive
+ * @desc aes-256-gcm of the JSON of value
+ * @param {*}               value
+ * @param {String|Buffer}   key     - A 32 byte Buffer, or a string the key is derived from
+ * @return {String|null}
+ */
+function encrypt(value, key) {
+  if (_.isNil(value)) {
+    return null;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(JSON.stringify(value), 'utf8'),
+    cipher.final(),
+  ]);
+  return (
+    encryptedPrefix +
+    Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+  );
+}
+
+/**
+ * @function decrypt
+ * @memberOf sensitive
+ * @param {String|null}     value   - As returned by encrypt
+ * @param {String|Buffer}   key
+ * @return {*}
+ */
+function decrypt(value, key) {
+  if (!_.isString(value) || !_.startsWith(value, encryptedPrefix)) {
+    return value;
+  }
+  const data = Buffer.from(value.slice(encryptedPrefix.length), 'base64');
+  if (data.length < 28) {
+    // no room for the iv and auth tag, which some node versions abort on
+    throw new Error('invalid ciphertext');
+  }
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(key),
+    data.slice(0, 12)
+  );
+  decipher.setAuthTag(data.slice(12, 28));
+  return JSON.parse(
+    Buffer.concat([decipher.update(data.slice(28)), decipher.final()]).toString(
+      'utf8'
+    )
+  );
+}
+
+/**
+ * @function isEncrypted
+ * @memberOf sensitive
+ * @param {*}               value
+ * @param {String|Buffer}   key
+ * @return {Boolean} Whether value was returned by encrypt with this key
+ */
+function isEncrypted(value, key) {
+  if (!_.isString(value) || !_.startsWith(value, encryptedPrefix)) {
+    return false;
+  }
+  try {
+    decrypt(value, key);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @function redact
+ * @memberOf sensitive
+ * @param {*}               value
+ * @param {String}          mode    - 'hash' or 'placeholder'
+ * @param {String|Buffer}   [key]   - Hashes are HMACs with this key, required to hash
+ * @return {String|null}
+ */
+function redact(value, mode, key) {
+  if (_.isNil(value)) {
+    return null;
+  }
+  if (mode === 'placeholder') {
+    return placeholder;
+  }
+  if (!key) {
+    throw new Error('a key is required to hash');
+  }
+  return crypto
+    .createHmac('sha256', deriveKey(key))
+    .update(JSON.stringify(value))
+    .digest('hex');
+}
+
+function Redacted(value) {
+  this.value = value;
+}
+
+/**
+ * @function keepRedacted
+ * @memberOf sensitive
+ * @param {String|null}     value   - As returned by redact
+ * @return {Object} value marked as redacted, the column of redactedAttribute stores it as it is
+ */
+function keepRedacted(value) {
+  return new Redacted(value);
+}
+
+/**
+ * @function redactModesByAttribute
+ * @memberOf sensitive
+ * @param {String[]|Object}   redactOption   - Attribute names, or a map of attribute name to 'hash' or 'placeholder'
+ * @return {Object} Map of attribute name to mode, 'hash' by default
+ */
+function redactModesByAttribute(redactOption) {
+  const modes = _.isArray(redactOption)
+    ? _.zipObject(redactOption, _.map(redactOption, _.constant('hash')))
+    : _.assign({}, redactOption);
+  _.forEach(modes, (mode, attribute) => {
+    if (!_.includes(redactModes, mode)) {
+      throw new Error('invalid redact mode for ' + attribute + ': ' + mode);
+    }
+  });
+  return modes;
+}
+
+/**
+ * @function redactedAttribute
+ * @memberOf sensitive
+ * @param {String}          name           - The name of the tracked attribute
+ * @param {Object}          attributeDef   - Its definition
+ * @param {String}          mode
+ * @param {String|Buffer}   [key]
+ * @return {Object} The definition of the revision column, which redacts on set.
+ * Setting a value marked by keepRedacted keeps it as it is
+ */
+function redactedAttribute(name, attributeDef, mode, key) {
+  return _.assign(_.omit(attributeDef, ['validate', 'get', 'set']), {
+    type: Sequelize.TEXT,
+    set: function(value) {
+      this.setDataValue(
+        name,
+        value instanceof Redacted ? value.value : redact(value, mode, key)
+      );
+    },
+  });
+}
+
+/**
+ * @function encryptedAttribute
+ * @memberOf sensitive
+ * @param {String}          name           - The name of the tracked attribute
+ * @param {Object}          attributeDef   - Its definition
+ * @param {String|Buffer}   key
+ * @return {Object} The definition of the revision column, which encrypts on set and decrypts on get.
+ * Setting a value that is already encrypted with the key keeps it as it is
+ */
+function encryptedAttribute(name, attributeDef, key) {
+  const isDate = _.get(attributeDef, 'type.key') === 'DATE';
+  return _.assign(_.omit(attributeDef, ['validate', 'get', 'set']), {
+    type: Sequelize.TEXT,
+    get: function() {
+      const value = decrypt(this.getDataValue(name), key);
+      return isDate && !_.isNil(value) ? new Date(value) : value;
+    },
+    set: function(value) {
+      this.setDataValue(
+        name,
+        isEncrypted(value, key) ? value : encrypt(value, key)
+      );
+    },
+  });
+}
+
+module.exports = {
+  placeholder: placeholder,
+  encrypt: encrypt,
+  decrypt: decrypt,
+  isEncrypted: isEncrypted,
+  redact: redact,
+  keepRedacted: keepRedacted,
+  redactModesByAttribute: redactModesByAttribute,
+  redactedAttribute: redactedAttribute,
+  encryptedAttribute: encryptedAttribute,
+};
@@ -0,0 +1,134 @@
+/**
+ * @module whoDunnit
+ * @desc Resolves the author and metadata of a revision
+ *
+ */
+const _ = require('lodash');
+const Sequelize = require('sequelize');
+
+const clsKey = 'sequelize-logbook:whoDunnit';
+const clsMetaKey = 'sequelize-logbook:revisionMeta';
+let AsyncLocalStorage;
+try {
+  AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+} catch (e) {
+  AsyncLocalStorage = undefined;
+}
+const storage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+let promiseAsyncHooks = false;
+
+function getNamespace() {
+  return Sequelize.cls;
+}
+function getContext() {
+  const namespace = getNamespace();
+  if (namespace && namespace.active) {
+    return {
+      whoDunnit: namespace.get(clsKey),
+      revisionMeta: namespace.get(clsMetaKey),
+    };
+  }
+  return (storage && storage.getStore()) || {};
+}
+function runWithContext(context, fn) {
+  context = _.assign({}, getContext(), context);
+  const namespace = getNamespace();
+  if (namespace) {
+    let result;
+    namespace.run(() => {
+      namespace.set(clsKey, context.whoDunnit);
+      namespace.set(clsMetaKey, context.revisionMeta);
+      result = fn();
+    });
+    return result;
+  }
+  if (storage) {
+    // bluebird runs the callbacks it queued in one go, in the async context of
+    // whichever promise queued first, unless it tracks the context of each
+    if (!promiseAsyncHooks) {
+      Sequelize.Promise.config({ asyncHooks: true });
+      promiseAsyncHooks = true;
+    }
+    return storage.run(context, fn);
+  }
+  throw new Error('a Sequelize.cls namespace or AsyncLocalStorage is required');
+}
+
+/**
+ * @function withUser
+ * @memberOf whoDunnit
+ * @desc Run fn with user as the whoDunnit of every revision written inside it.
+ * Uses the Sequelize.cls namespace when one is configured, AsyncLocalStorage otherwise
+ * @param {String}     user
+ * @param {Function}   fn
+ * @return {*} Whatever fn returns
+ */
+function withUser(user, fn) {
+  return runWithContext({ whoDunnit: user }, fn);
+}
+
+/**
+ * @function withRevisionMeta
+ * @memberOf whoDunnit
+ * @desc Run fn with meta added to the metadata of every revision written inside it
+ * @param {Object}     meta
+ * @param {Function}   fn
+ * @return {*} Whatever fn returns
+ */
+function withRevisionMeta(meta, fn) {
+  return runWithContext(
+    { revisionMeta: _.assign({}, getContext().revisionMeta, meta) },
+    fn
+  );
+}
+
+/**
+ * @function currentUser
+ * @memberOf whoDunnit
+ * @return {String|undefined} The user set by withUser for the current async context
+ */
+function currentUser() {
+  return getContext().whoDunnit;
+}
+
+/**
+ * @function resolve
+ * @memberOf whoDunnit
+ * @desc In order of priority: options.whoDunnit, withUser, sequelize.whoDunnit, process.env.whoDunnit
+ * @param {Sequelize}  sequelize
+ * @param {Object}     [options]   - The options of the create / update / destroy call
+ * @return {String}
+ */
+function resolve(sequelize, options) {
+  const fallback =
+    process.env.whoDunnit || 'unknown user: ' + process.env.NODE_ENV;
+  return (
+    (options && options.whoDunnit) ||
+    currentUser() ||
+    sequelize.whoDunnit ||
+    fallback
+  );
+}
+
+/**
+ * @function resolveMeta
+ * @memberOf whoDunnit
+ * @desc options.revisionMeta merged over the metadata set by withRevisionMeta
+ * @param {Object}     [options]   - The options of the create / update / destroy call
+ * @return {Object}
+ */
+function resolveMeta(options) {
+  return _.assign(
+    {},
+    getContext().revisionMeta,
+    options && options.revisionMeta
+  );
+}
+
+module.exports = {
+  withUser: withUser,
+  withRevisionMeta: withRevisionMeta,
+  currentUser: currentUser,
+  resolve: resolve,
+  resolveMeta: resolveMeta,
+};
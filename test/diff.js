@@ -0,0 +1,68 @@
+const Sequelize = require('sequelize');
+const diff = require('../lib/diff');
+
+describe('diff', () => {
+  describe('isEqualValue', () => {
+    it('should compare dates by time', () => {
+      const attributeDef = { type: Sequelize.DATE };
+      expect(
+        diff.isEqualValue(
+          new Date('2017-03-03T00:00:00.000Z'),
+          '2017-03-03 00:00:00.000 +00:00',
+          attributeDef
+        )
+      ).to.be.true;
+      expect(
+        diff.isEqualValue(
+          new Date('2017-03-03T00:00:00.000Z'),
+          new Date('2017-03-04T00:00:00.000Z'),
+          attributeDef
+        )
+      ).to.be.false;
+    });
+    it('should compare json deeply', () => {
+      const attributeDef = { type: Sequelize.JSON };
+      expect(diff.isEqualValue({ a: [1, 2] }, '{"a":[1,2]}', attributeDef)).to
+        .be.true;
+      expect(diff.isEqualValue({ a: [1, 2] }, { a: [2, 1] }, attributeDef)).to
+        .be.false;
+    });
+    it('should compare blobs by content', () => {
+      const attributeDef = { type: Sequelize.BLOB };
+      expect(
+        diff.isEqualValue(Buffer.from('abc'), Buffer.from('abc'), attributeDef)
+      ).to.be.true;
+      expect(
+        diff.isEqualValue(Buffer.from('abc'), Buffer.from('abd'), attributeDef)
+      ).to.be.false;
+    });
+    it('should treat undefined as null', () => {
+      expect(diff.isEqualValue(undefined, null)).to.be.true;
+    });
+  });
+  describe('diffValues', () => {
+    it('should list every changed attribute', () => {
+      const attributes = {
+        name: { type: Sequelize.STRING },
+        price: { type: Sequelize.INTEGER },
+        updated: { type: Sequelize.DATE },
+      };
+      expect(
+        diff.diffValues(
+          { name: 'item', price: 1, updated: new Date(0) },
+          { name: 'item', price: 2, updated: new Date(0) },
+          attributes
+        )
+      ).to.deep.equal([{ attribute: 'price', from: 1, to: 2 }]);
+    });
+    it('should only compare the given attributes', () => {
+      expect(
+        diff.diffValues(
+          { name: 'item', other: 1 },
+          { name: 'item', other: 2 },
+          { name: { type: Sequelize.STRING } }
+        )
+      ).to.deep.equal([]);
+    });
+  });
+});
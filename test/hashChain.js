@@ -0,0 +1,127 @@
+const Sequelize = require('sequelize');
+const hashChain = require('../lib/hashChain');
+
+describe('hashChain', () => {
+  const attributes = {
+    id: { type: Sequelize.INTEGER },
+    name: { type: Sequelize.STRING },
+    revisionValidFrom: { type: Sequelize.DATE },
+    changedAttributes: { type: Sequelize.TEXT },
+    previousRevisionHash: { type: Sequelize.STRING },
+  };
+  const validFrom = new Date('2017-03-01T08:00:00Z');
+
+  describe('hashRevision', () => {
+    it('should hash values the same as they are read back', () => {
+      expect(
+        hashChain.hashRevision(
+          {
+            id: '12',
+            name: 'a',
+            revisionValidFrom: validFrom,
+            changedAttributes: ['name', 'id'],
+          },
+          attributes
+        )
+      ).to.equal(
+        hashChain.hashRevision(
+          {
+            id: 12,
+            name: 'a',
+            revisionValidFrom: validFrom.toISOString(),
+            changedAttributes: '["name","id"]',
+            previousRevisionHash: null,
+          },
+          attributes
+        )
+      );
+    });
+    it('should change with any hashed value', () => {
+      const values = { id: 12, name: 'a', revisionValidFrom: validFrom };
+      expect(hashChain.hashRevision(values, attributes)).not.to.equal(
+        hashChain.hashRevision(
+          { id: 12, name: 'b', revisionValidFrom: validFrom },
+          attributes
+        )
+      );
+      expect(hashChain.hashRevision(values, attributes)).not.to.equal(
+        hashChain.hashRevision(
+          {
+            id: 12,
+            name: 'a',
+            revisionValidFrom: validFrom,
+            previousRevisionHash: 'abc',
+          },
+          attributes
+        )
+      );
+    });
+  });
+
+  describe('verifyChain', () => {
+    let revisions;
+    function revision(revisionId, name, previous) {
+      const values = {
+        revisionId: revisionId,
+        id: 12,
+        name: name,
+        revisionOperation: previous ? 'update' : 'create',
+        revisionValidFrom: new Date(validFrom.valueOf() + revisionId * 1000),
+        revisionValidTo: null,
+        previousRevisionHash: previous ? previous.revisionHash : null,
+      };
+      values.revisionHash = hashChain.hashRevision(values, attributes);
+      if (previous) {
+        previous.revisionValidTo = values.revisionValidFrom;
+      }
+      return values;
+    }
+    beforeEach(() => {
+      revisions = [revision(1, 'a')];
+      revisions.push(revision(2, 'b', revisions[0]));
+      revisions.push(revision(3, 'c', revisions[1]));
+    });
+    it('should accept an intact chain', () => {
+      expect(hashChain.verifyChain(revisions, attributes)).to.deep.equal([]);
+    });
+    it('should report changed revisions', () => {
+      revisions[1].name = 'changed';
+      expect(hashChain.verifyChain(revisions, attributes)).to.deep.equal([
+        { revisionId: 2, reason: 'hash mismatch' },
+      ]);
+    });
+    it('should report missing revisions', () => {
+      revisions.splice(1, 1);
+      expect(hashChain.verifyChain(revisions, attributes)).to.deep.equal([
+        { revisionId: 3, reason: 'broken link' },
+        { revisionId: 3, reason: 'gap' },
+      ]);
+    });
+    it('should report changed intervals', () => {
+      revisions[0].revisionValidTo = new Date(validFrom.valueOf() + 2500);
+      expect(hashChain.verifyChain(revisions, attributes)).to.deep.equal([
+        { revisionId: 2, reason: 'overlap' },
+      ]);
+      revisions[0].revisionValidTo = null;
+      expect(hashChain.verifyChain(revisions, attributes)).to.deep.equal([
+        { revisionId: 2, reason: 'overlap' },
+      ]);
+    });
+    it('should only allow a start that was pruned', () => {
+      revisions.shift();
+      expect(hashChain.verifyChain(revisions, attributes)).to.deep.equal([
+        { revisionId: 2, reason: 'broken link' },
+      ]);
+      expect(
+        hashChain.verifyChain(revisions, attributes, {
+          prunedRevisionIds: [5],
+        })
+      ).to.deep.equal([{ revisionId: 2, reason: 'broken link' }]);
+      expect(
+        hashChain.verifyChain(revisions, attributes, {
+          prunedRevisionIds: [1],
+        })
+      ).to.deep.equal([]);
+    });
+  });
+});
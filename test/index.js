@@ -1,7 +1,9 @@
 const _ = require('lodash');
 const Sequelize = require('sequelize');
 const trackRevisions = require('../index');
+const hashChain = require('../lib/hashChain');
 const fs = require('fs');
+const cls = require('continuation-local-storage');
 
 function createFakeDB() {
   const fakeDB = new Sequelize('database', 'username', 'password', {
@@ -24,6 +26,12 @@ function createFakeDB() {
   });
 }
 
+function wait(ms) {
+  return new Promise(resolve => {
+    setTimeout(resolve, ms);
+  });
+}
+
 describe('sequelize-revisions', () => {
   let Model, RevisionModel, temporaryDB;
   beforeEach(() => {
@@ -396,15 +404,22 @@ describe('sequelize-revisions', () => {
               return instance.destroy(transactionOptions);
             });
           });
-          it('should not create a new revision', () => {
-            return RevisionModel.count({
+          it('should create a destroy revision that has already ended', () => {
+            return RevisionModel.findAll({
               where: {
                 id: instance.id,
               },
+              order: [['revisionId', 'ASC']],
               transaction: transaction,
             })
-              .then(count => {
-                expect(count).to.equal(1);
+              .then(revisions => {
+                expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+                  'create',
+                  'destroy',
+                ]);
+                expect(revisions[1].revisionValidFrom).to.deep.equal(
+                  revisions[1].revisionValidTo
+                );
               })
               .then(finishTransaction)
               .catch(rollbackTransaction);
@@ -710,13 +725,20 @@ describe('sequelize-revisions', () => {
               return instance.destroy();
             });
           });
-          it('should not create a new revision', () => {
-            return RevisionModel.count({
+          it('should create a destroy revision that has already ended', () => {
+            return RevisionModel.findAll({
               where: {
                 id: instance.id,
               },
-            }).then(count => {
-              expect(count).to.equal(1);
+              order: [['revisionId', 'ASC']],
+            }).then(revisions => {
+              expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+                'create',
+                'destroy',
+              ]);
+              expect(revisions[1].revisionValidFrom).to.deep.equal(
+                revisions[1].revisionValidTo
+              );
             });
           });
           it('should make the latest revision invalid', () => {
@@ -732,66 +754,3540 @@ describe('sequelize-revisions', () => {
       });
     });
   });
-  describe('whoDunnit', () => {
-    context('with a valid username on the session', () => {
+  describe('options', () => {
+    beforeEach(() => {
+      Model = temporaryDB.define('SecretModel', {
+        name: Sequelize.STRING,
+        email: Sequelize.STRING,
+        passwordHash: Sequelize.STRING,
+      });
+    });
+    context('with exclude', () => {
       let instance;
       beforeEach(() => {
-        return createFakeDB().then(fakeDB => {
-          fakeDB.whoDunnit = 'waldo';
-          temporaryDB = fakeDB;
-          Model = fakeDB.define('TestModel', {
-            name: Sequelize.STRING,
+        RevisionModel = trackRevisions(Model, { exclude: ['passwordHash'] });
+        return temporaryDB.sync().then(() => {
+          return Model.create({
+            name: 'waldo',
+            email: 'waldo@example.com',
+            passwordHash: 'secret',
+          }).then(inst => {
+            instance = inst;
           });
         });
       });
-      beforeEach(() => {
-        RevisionModel = trackRevisions(Model);
-        return temporaryDB.sync();
-      });
-      beforeEach(() => {
-        return Model.create({}).then(inst => {
-          instance = inst;
-        });
+      it('should not add the excluded attributes to the revisions model', () => {
+        expect(RevisionModel.attributes).to.not.have.property('passwordHash');
+        expect(RevisionModel.attributes).to.contain.all.keys(['name', 'email']);
       });
-      it('should be set', () => {
+      it('should not copy the excluded attributes into the revision', () => {
         return RevisionModel.find({
           where: {
             id: instance.id,
           },
         }).then(revision => {
-          expect(revision).to.have.property('whoDunnit');
-          expect(revision.whoDunnit).to.equal('waldo');
+          expect(revision.name).to.equal('waldo');
+          expect(revision.dataValues).to.not.have.property('passwordHash');
         });
       });
     });
-    context('without a valid username on the session', () => {
-      let instance;
+    context('with include', () => {
       beforeEach(() => {
-        return createFakeDB().then(fakeDB => {
-          temporaryDB = fakeDB;
-          Model = fakeDB.define('TestModel', {
-            name: Sequelize.STRING,
+        RevisionModel = trackRevisions(Model, { include: ['name'] });
+      });
+      it('should only add the included attributes and the primary key', () => {
+        expect(RevisionModel.attributes).to.contain.all.keys(['id', 'name']);
+        expect(RevisionModel.attributes).to.not.have.property('email');
+        expect(RevisionModel.attributes).to.not.have.property('passwordHash');
+      });
+    });
+    context('with keepTimestamps', () => {
+      beforeEach(() => {
+        RevisionModel = trackRevisions(Model, { keepTimestamps: true });
+      });
+      it('should copy createdAt and updatedAt', () => {
+        expect(RevisionModel.attributes).to.contain.all.keys([
+          'createdAt',
+          'updatedAt',
+        ]);
+      });
+    });
+    context('with a custom name', () => {
+      it('should use modelNameSuffix', () => {
+        RevisionModel = trackRevisions(Model, { modelNameSuffix: '_history' });
+        expect(RevisionModel.name).to.equal('SecretModel_history');
+      });
+      it('should use modelName and tableName', () => {
+        RevisionModel = trackRevisions(Model, {
+          modelName: 'SecretAudit',
+          tableName: 'secret_audit',
+        });
+        expect(RevisionModel.name).to.equal('SecretAudit');
+        expect(RevisionModel.tableName).to.equal('secret_audit');
+      });
+    });
+    it('should not allow excluding the primary key', () => {
+      expect(() => {
+        trackRevisions(Model, { exclude: ['id'] });
+      }).to.throw('the primary key must be tracked');
+    });
+  });
+  describe('bulk operations', () => {
+    afterEach(() => {
+      temporaryDB.options.logging = false;
+    });
+    let queries;
+    function countQueries() {
+      queries = [];
+      temporaryDB.options.logging = sql => {
+        queries.push(sql);
+      };
+    }
+    function findRevisions() {
+      return RevisionModel.findAll({
+        order: [['id', 'ASC'], ['revisionId', 'ASC']],
+      });
+    }
+    beforeEach(() => {
+      RevisionModel = trackRevisions(Model, { bulkBatchSize: 2 });
+      return temporaryDB.sync().then(() => {
+        return Model.bulkCreate([
+          { id: 1, name: 'a' },
+          { id: 2, name: 'b' },
+          { id: 3, name: 'c' },
+        ]);
+      });
+    });
+    describe('bulkCreate', () => {
+      it('should create a revision for every row', () => {
+        return findRevisions().then(revisions => {
+          expect(_.map(revisions, 'id')).to.deep.equal([1, 2, 3]);
+          expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+            'create',
+            'create',
+            'create',
+          ]);
+          expect(revisions[0].revisionValidFrom).to.be.an.instanceof(Date);
+        });
+      });
+      it('should create revisions when primary keys are generated', () => {
+        const options = {};
+        let created;
+        countQueries();
+        Model.addHook('afterCreate', () => {
+          throw new Error('individual hooks');
+        });
+        return Model.bulkCreate([{ name: 'd' }, { name: 'e' }], options)
+          .then(instances => {
+            // insert of the rows, the generated keys, then a check and an insert
+            expect(queries.length).to.equal(4);
+            expect(options).to.deep.equal({});
+            created = instances;
+            return RevisionModel.findAll({
+              where: { name: ['d', 'e'] },
+              order: [['revisionId', 'ASC']],
+            });
+          })
+          .then(revisions => {
+            expect(_.map(created, 'id')).to.deep.equal([4, 5]);
+            expect(_.map(revisions, 'id')).to.deep.equal([4, 5]);
+            expect(_.map(revisions, 'name')).to.deep.equal(['d', 'e']);
+          });
+      });
+      it('should insert rows with and without keys one by one', () => {
+        const options = {};
+        return Model.bulkCreate([{ id: 7, name: 'd' }, { name: 'e' }], options)
+          .then(() => {
+            expect(options).to.deep.equal({});
+            return RevisionModel.findAll({
+              where: { name: ['d', 'e'] },
+              order: [['revisionId', 'ASC']],
+            });
+          })
+          .then(revisions => {
+            expect(_.map(revisions, 'id')).to.deep.equal([7, 8]);
+            expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+              'create',
+              'create',
+            ]);
+          });
+      });
+      it('should skip rows without keys that may be duplicates', () => {
+        return Model.bulkCreate([{ name: 'd' }], { ignoreDuplicates: true })
+          .then(() => {
+            return Sequelize.Promise.all([
+              Model.count({ where: { name: 'd' } }),
+              RevisionModel.count({ where: { name: 'd' } }),
+            ]);
+          })
+          .spread((rows, revisions) => {
+            expect(rows).to.equal(1);
+            expect(revisions).to.equal(0);
+          });
+      });
+      it('should use one query per batch', () => {
+        countQueries();
+        return Model.bulkCreate([{ id: 4 }, { id: 5 }, { id: 6 }]).then(() => {
+          // insert of the rows, then a check and an insert per batch of two
+          expect(queries.length).to.equal(5);
+        });
+      });
+    });
+    describe('update', () => {
+      it('should create a revision for every affected row', () => {
+        return Model.update({ name: 'z' }, { where: { id: [1, 2] } })
+          .then(findRevisions)
+          .then(revisions => {
+            expect(_.map(revisions, 'name')).to.deep.equal([
+              'a',
+              'z',
+              'b',
+              'z',
+              'c',
+            ]);
+            expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+              'create',
+              'update',
+              'create',
+              'update',
+              'create',
+            ]);
+          });
+      });
+      it('should close the previous revisions', () => {
+        return Model.update({ name: 'z' }, { where: { name: 'a' } })
+          .then(() => {
+            return RevisionModel.findAll({
+              where: { id: 1 },
+              order: [['revisionId', 'ASC']],
+            });
+          })
+          .then(revisions => {
+            expect(revisions[0].revisionValidTo).to.be.an.instanceof(Date);
+            expect(revisions[0].revisionValidTo.valueOf()).to.equal(
+              revisions[1].revisionValidFrom.valueOf()
+            );
+            expect(revisions[1].revisionValidTo).to.be.null;
+          });
+      });
+      it('should use a fixed number of queries per batch', () => {
+        countQueries();
+        return Model.update(
+          { name: 'z' },
+          { where: { id: [1, 2] } }
+        ).then(() => {
+          // select of the keys, the update, then a select, an update and an insert
+          expect(queries.length).to.equal(5);
+        });
+      });
+      it('should leave the work to the individual hooks when asked to', () => {
+        return Model.update(
+          { name: 'z' },
+          { where: { id: 1 }, individualHooks: true }
+        )
+          .then(() => {
+            return RevisionModel.count({ where: { id: 1 } });
+          })
+          .then(count => {
+            expect(count).to.equal(2);
+          });
+      });
+    });
+    describe('destroy', () => {
+      it('should write the destroy revisions once the rows are gone', () => {
+        countQueries();
+        return Model.destroy({ where: {} })
+          .then(() => {
+            const deleteIndex = _.findIndex(queries, sql => {
+              return /DELETE FROM `TestModels`/.test(sql);
+            });
+            const insertIndex = _.findIndex(queries, sql => {
+              return /INSERT INTO/.test(sql);
+            });
+            expect(deleteIndex).to.be.above(-1);
+            expect(insertIndex).to.be.above(deleteIndex);
+            return findRevisions();
+          })
+          .then(revisions => {
+            expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+              'create',
+              'destroy',
+              'create',
+              'destroy',
+              'create',
+              'destroy',
+            ]);
+            expect(_.map(revisions, 'name')).to.deep.equal([
+              'a',
+              'a',
+              'b',
+              'b',
+              'c',
+              'c',
+            ]);
+          });
+      });
+      it('should keep the history of rows the delete failed on', () => {
+        const Child = temporaryDB.define('Child', {});
+        Child.belongsTo(Model, { onDelete: 'RESTRICT' });
+        return temporaryDB
+          .sync()
+          .then(() => {
+            return Child.create({ TestModelId: 1 });
+          })
+          .then(() => {
+            return expect(Model.destroy({ where: { id: 1 } })).to.be.rejected;
+          })
+          .then(() => {
+            return Model.findById(1);
+          })
+          .then(instance => {
+            return instance.update({ name: 'changed' });
+          })
+          .then(() => {
+            return RevisionModel.findAll({
+              where: { id: 1 },
+              order: [['revisionId', 'ASC']],
+            });
+          })
+          .then(revisions => {
+            expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+              'create',
+              'update',
+            ]);
           });
+      });
+      it('should close the revisions of every affected row', () => {
+        return Model.destroy({ where: { id: [1, 2] }, whoDunnit: 'carmen' })
+          .then(findRevisions)
+          .then(revisions => {
+            expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+              'create',
+              'destroy',
+              'create',
+              'destroy',
+              'create',
+            ]);
+            expect(_.map(revisions, 'destroyedBy')).to.deep.equal([
+              'carmen',
+              null,
+              'carmen',
+              null,
+              null,
+            ]);
+            expect(revisions[0].revisionValidTo).to.be.an.instanceof(Date);
+            expect(revisions[4].revisionValidTo).to.be.null;
+          });
+      });
+    });
+  });
+  describe('skipping revisions', () => {
+    let instance;
+    function countRevisions() {
+      return RevisionModel.count({ where: { id: instance.id } });
+    }
+    function trackAndCreate(options) {
+      Model = temporaryDB.define('CountedModel', {
+        name: Sequelize.STRING,
+        viewCount: Sequelize.INTEGER,
+        notes: Sequelize.STRING,
+      });
+      RevisionModel = trackRevisions(Model, options);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'first', viewCount: 0 });
+        })
+        .then(inst => {
+          instance = inst;
         });
+    }
+    context('with ignoreChangesTo', () => {
+      beforeEach(() => {
+        return trackAndCreate({ ignoreChangesTo: ['viewCount'] });
+      });
+      it('should not create a revision when only ignored attributes change', () => {
+        return instance
+          .update({ viewCount: 1 })
+          .then(countRevisions)
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+      it('should create a revision when other attributes change too', () => {
+        return instance
+          .update({ viewCount: 2, name: 'second' })
+          .then(countRevisions)
+          .then(count => {
+            expect(count).to.equal(2);
+          });
+      });
+      it('should not create revisions for bulk updates of ignored attributes', () => {
+        return Model.update({ viewCount: 3 }, { where: { id: instance.id } })
+          .then(countRevisions)
+          .then(count => {
+            expect(count).to.equal(1);
+          });
       });
+    });
+    context('with untracked attributes', () => {
       beforeEach(() => {
-        RevisionModel = trackRevisions(Model);
-        return temporaryDB.sync();
+        return trackAndCreate({ exclude: ['notes'] });
       });
+      it('should not create a revision when only they change', () => {
+        return instance
+          .update({ notes: 'not tracked' })
+          .then(countRevisions)
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+    });
+    context('with skipIdenticalRevisions', () => {
       beforeEach(() => {
-        return Model.create({}).then(inst => {
+        return trackAndCreate({
+          ignoreChangesTo: ['viewCount'],
+          skipIdenticalRevisions: true,
+        });
+      });
+      it('should not create a revision identical to the open revision', () => {
+        return instance
+          .update({ viewCount: 1 })
+          .then(() => {
+            // the open revision still has viewCount 0
+            return instance.update({ viewCount: 0, name: 'first' });
+          })
+          .then(countRevisions)
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+      it('should create a revision when the snapshot differs', () => {
+        return instance
+          .update({ name: 'second' })
+          .then(countRevisions)
+          .then(count => {
+            expect(count).to.equal(2);
+          });
+      });
+      it('should skip identical rows in bulk updates', () => {
+        return Model.create({ name: 'other', viewCount: 0 })
+          .then(() => {
+            return Model.update({ name: 'other' }, { where: {} });
+          })
+          .then(() => {
+            return RevisionModel.count();
+          })
+          .then(count => {
+            expect(count).to.equal(3);
+          });
+      });
+    });
+  });
+  describe('queries per save', () => {
+    let instance, queries;
+    function countQueries() {
+      queries = [];
+      temporaryDB.options.logging = sql => {
+        queries.push(sql);
+      };
+    }
+    function trackAndCreate(options) {
+      RevisionModel = trackRevisions(Model, options);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          countQueries();
+          return Model.create({ name: 'first' });
+        })
+        .then(inst => {
           instance = inst;
         });
+    }
+    afterEach(() => {
+      temporaryDB.options.logging = false;
+    });
+    context('by default', () => {
+      beforeEach(() => {
+        return trackAndCreate();
       });
-      it('should be set to the process.env.NODE_ENV', () => {
-        return RevisionModel.find({
-          where: {
-            id: instance.id,
+      it('should check for an open revision and insert on create', () => {
+        expect(queries.length).to.equal(3);
+      });
+      it('should close the open revision and insert on update', () => {
+        countQueries();
+        return instance.update({ name: 'second' }).then(() => {
+          expect(queries.length).to.equal(3);
+        });
+      });
+      it('should close the open revision and insert one on destroy', () => {
+        countQueries();
+        return instance.destroy().then(() => {
+          expect(queries.length).to.equal(3);
+        });
+      });
+      it('should reject updates without an open revision', () => {
+        return temporaryDB
+          .query('DELETE FROM ' + RevisionModel.getTableName())
+          .then(() => {
+            return expect(
+              instance.update({ name: 'second' })
+            ).to.be.rejectedWith('no previous revision exists');
+          });
+      });
+    });
+    context('with storeChangedAttributes', () => {
+      beforeEach(() => {
+        return trackAndCreate({ storeChangedAttributes: true });
+      });
+      it('should look up the open revision once on update', () => {
+        countQueries();
+        return instance.update({ name: 'second' }).then(() => {
+          expect(queries.length).to.equal(4);
+        });
+      });
+    });
+  });
+  describe('revision operations', () => {
+    let instance;
+    function findRevisions() {
+      return RevisionModel.findAll({
+        where: { id: instance.id },
+        order: [['revisionId', 'ASC']],
+      });
+    }
+    beforeEach(() => {
+      RevisionModel = trackRevisions(Model);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'first' }, { whoDunnit: 'carmen' });
+        })
+        .then(inst => {
+          instance = inst;
+        });
+    });
+    it('should record create', () => {
+      return findRevisions().then(revisions => {
+        expect(revisions[0].revisionOperation).to.equal('create');
+        expect(revisions[0].destroyedBy).to.be.null;
+      });
+    });
+    it('should record update', () => {
+      return instance
+        .update({ name: 'second' })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+            'create',
+            'update',
+          ]);
+        });
+    });
+    it('should record who destroyed the record', () => {
+      return instance
+        .destroy({ whoDunnit: 'sandiego' })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+            'create',
+            'destroy',
+          ]);
+          expect(revisions[0].revisionValidTo).to.be.an.instanceof(Date);
+          expect(revisions[0].destroyedBy).to.equal('sandiego');
+          expect(revisions[0].whoDunnit).to.equal('carmen');
+          expect(revisions[1].whoDunnit).to.equal('sandiego');
+          expect(revisions[1].name).to.equal('first');
+          expect(revisions[1].revisionValidFrom).to.deep.equal(
+            revisions[0].revisionValidTo
+          );
+          expect(revisions[1].revisionValidTo).to.deep.equal(
+            revisions[0].revisionValidTo
+          );
+        });
+    });
+    it('should record restore', () => {
+      return instance
+        .destroy()
+        .then(() => {
+          return Model.restore(instance.id);
+        })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+            'create',
+            'destroy',
+            'restore',
+          ]);
+        });
+    });
+    it('should not allow setting destroyedBy on an open revision', () => {
+      return findRevisions().then(revisions => {
+        return expect(
+          revisions[0].update({ destroyedBy: 'sandiego' })
+        ).to.be.rejectedWith('cannot update revision');
+      });
+    });
+  });
+  describe('revision metadata', () => {
+    function findRevision(instance) {
+      return RevisionModel.find({
+        where: {
+          id: instance.id,
+          revisionValidTo: null,
+        },
+      });
+    }
+    context('with metaAttributes', () => {
+      beforeEach(() => {
+        RevisionModel = trackRevisions(Model, {
+          metaAttributes: {
+            actorId: Sequelize.INTEGER,
+            changeReason: Sequelize.STRING,
           },
-        }).then(revision => {
-          expect(revision).to.have.property('whoDunnit');
-          expect(revision.whoDunnit).to.contain(process.env.NODE_ENV);
         });
+        return temporaryDB.sync();
+      });
+      it('should add the columns to the revisions model', () => {
+        expect(RevisionModel.attributes).to.contain.all.keys([
+          'actorId',
+          'changeReason',
+        ]);
+      });
+      it('should fill them from options.revisionMeta', () => {
+        return Model.create(
+          {},
+          { revisionMeta: { actorId: 42, changeReason: 'typo', other: 1 } }
+        )
+          .then(findRevision)
+          .then(revision => {
+            expect(revision.actorId).to.equal(42);
+            expect(revision.changeReason).to.equal('typo');
+            return RevisionModel.count({ where: { actorId: 42 } });
+          })
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+      it('should not allow overlapping tracked attributes', () => {
+        expect(() => {
+          trackRevisions(Model, {
+            modelNameSuffix: '_overlap',
+            metaAttributes: { name: Sequelize.STRING },
+          });
+        }).to.throw('metaAttributes cannot overlap tracked attributes');
+      });
+    });
+    context('with storeRevisionMeta', () => {
+      beforeEach(() => {
+        RevisionModel = trackRevisions(Model, { storeRevisionMeta: true });
+        return temporaryDB.sync();
+      });
+      it('should store all of the metadata', () => {
+        return Model.create(
+          {},
+          { revisionMeta: { actorId: 42, requestId: 'abc' } }
+        )
+          .then(findRevision)
+          .then(revision => {
+            expect(revision.revisionMeta).to.deep.equal({
+              actorId: 42,
+              requestId: 'abc',
+            });
+          });
+      });
+      it('should store null without metadata', () => {
+        return Model.create({})
+          .then(findRevision)
+          .then(revision => {
+            expect(revision.revisionMeta).to.be.null;
+          });
+      });
+    });
+    context('with requiredMeta', () => {
+      beforeEach(() => {
+        RevisionModel = trackRevisions(Model, {
+          metaAttributes: { actorId: Sequelize.INTEGER },
+          requiredMeta: ['actorId'],
+        });
+        return temporaryDB.sync();
+      });
+      it('should reject writes without the metadata', () => {
+        return expect(Model.create({}))
+          .to.be.rejectedWith('missing revision metadata: actorId')
+          .then(() => {
+            return Model.count();
+          })
+          .then(count => {
+            expect(count).to.equal(0);
+          });
+      });
+      it('should accept writes with the metadata', () => {
+        return Model.create({}, { revisionMeta: { actorId: 42 } })
+          .then(findRevision)
+          .then(revision => {
+            expect(revision.actorId).to.equal(42);
+          });
+      });
+    });
+    context('with withRevisionMeta', () => {
+      beforeEach(() => {
+        Sequelize.cls = cls.createNamespace('sequelize-logbook-test');
+        RevisionModel = trackRevisions(Model, {
+          metaAttributes: {
+            actorId: Sequelize.INTEGER,
+            requestId: Sequelize.STRING,
+          },
+        });
+        return temporaryDB.sync();
+      });
+      afterEach(() => {
+        cls.destroyNamespace('sequelize-logbook-test');
+        delete Sequelize.cls;
+      });
+      it('should merge the context with options.revisionMeta', () => {
+        return trackRevisions
+          .withRevisionMeta({ actorId: 1, requestId: 'abc' }, () => {
+            return Model.create({}, { revisionMeta: { actorId: 2 } });
+          })
+          .then(findRevision)
+          .then(revision => {
+            expect(revision.actorId).to.equal(2);
+            expect(revision.requestId).to.equal('abc');
+          });
+      });
+      it('should keep the user set by withUser', () => {
+        return trackRevisions
+          .withUser('carmen', () => {
+            return trackRevisions.withRevisionMeta({ actorId: 1 }, () => {
+              return Model.create({});
+            });
+          })
+          .then(findRevision)
+          .then(revision => {
+            expect(revision.whoDunnit).to.equal('carmen');
+            expect(revision.actorId).to.equal(1);
+          });
+      });
+    });
+  });
+  describe('point in time queries', () => {
+    let instance, beforeCreate, afterCreate, afterUpdate, afterDestroy;
+    beforeEach(() => {
+      RevisionModel = trackRevisions(Model);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          beforeCreate = new Date();
+          return wait(10);
+        })
+        .then(() => {
+          return Model.create({ name: 'first' });
+        })
+        .then(inst => {
+          instance = inst;
+          return Model.create({ name: 'other' });
+        })
+        .then(() => {
+          return wait(10);
+        })
+        .then(() => {
+          afterCreate = new Date();
+          return wait(10);
+        })
+        .then(() => {
+          return instance.update({ name: 'second' });
+        })
+        .then(() => {
+          return wait(10);
+        })
+        .then(() => {
+          afterUpdate = new Date();
+          return wait(10);
+        });
+    });
+    describe('Model.findAsOf', () => {
+      it('should return the record as it was at the given date', () => {
+        return Model.findAsOf(afterCreate, {
+          where: { id: instance.id },
+        }).then(record => {
+          expect(record).to.be.an.instanceof(Model.Instance);
+          expect(record.id).to.equal(instance.id);
+          expect(record.name).to.equal('first');
+        });
+      });
+      it('should return the latest version for a later date', () => {
+        return Model.findAsOf(afterUpdate, {
+          where: { id: instance.id },
+        }).then(record => {
+          expect(record.name).to.equal('second');
+        });
+      });
+      it('should return null before the record existed', () => {
+        return Model.findAsOf(beforeCreate, {
+          where: { id: instance.id },
+        }).then(record => {
+          expect(record).to.be.null;
+        });
+      });
+      it('should return null after the record was destroyed', () => {
+        return instance
+          .destroy()
+          .then(() => {
+            return wait(10);
+          })
+          .then(() => {
+            afterDestroy = new Date();
+            return Model.findAsOf(afterDestroy, {
+              where: { id: instance.id },
+            });
+          })
+          .then(record => {
+            expect(record).to.be.null;
+          });
+      });
+      it('should return a read-only instance', () => {
+        return Model.findAsOf(afterCreate, {
+          where: { id: instance.id },
+        }).then(record => {
+          return expect(record.save()).to.be.rejectedWith(
+            'cannot save a historical instance'
+          );
+        });
+      });
+      it('should reject invalid dates', () => {
+        return expect(Model.findAsOf('not a date')).to.be.rejectedWith(
+          'invalid date'
+        );
+      });
+    });
+    describe('Model.findAllAsOf', () => {
+      it('should return every record valid at the given date', () => {
+        return Model.findAllAsOf(afterCreate, {
+          order: [['id', 'ASC']],
+        }).then(records => {
+          expect(_.map(records, 'name')).to.deep.equal(['first', 'other']);
+        });
+      });
+      it('should apply the where clause', () => {
+        return Model.findAllAsOf(afterUpdate, {
+          where: { name: 'second' },
+        }).then(records => {
+          expect(records.length).to.equal(1);
+          expect(records[0].id).to.equal(instance.id);
+        });
+      });
+    });
+    describe('instance.asOf', () => {
+      it('should return this record as it was at the given date', () => {
+        return instance.asOf(afterCreate).then(record => {
+          expect(record.name).to.equal('first');
+          expect(instance.name).to.equal('second');
+        });
+      });
+    });
+  });
+  describe('reverting', () => {
+    let instance, firstRevision;
+    beforeEach(() => {
+      RevisionModel = trackRevisions(Model);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'first' });
+        })
+        .then(inst => {
+          instance = inst;
+          return RevisionModel.findOne({ where: { id: instance.id } });
+        })
+        .then(revision => {
+          firstRevision = revision;
+          return wait(10);
+        })
+        .then(() => {
+          return instance.update({ name: 'second' });
+        });
+    });
+    describe('instance.revertTo', () => {
+      it('should revert to a revisionId', () => {
+        return instance
+          .revertTo(firstRevision.revisionId)
+          .then(() => {
+            expect(instance.name).to.equal('first');
+            return Model.findById(instance.id);
+          })
+          .then(record => {
+            expect(record.name).to.equal('first');
+          });
+      });
+      it('should revert to a date', () => {
+        return instance.revertTo(firstRevision.revisionValidFrom).then(() => {
+          expect(instance.name).to.equal('first');
+        });
+      });
+      it('should record a new revision', () => {
+        return instance
+          .revertTo(firstRevision.revisionId)
+          .then(() => {
+            return RevisionModel.findAll({
+              where: { id: instance.id },
+              order: [['revisionId', 'ASC']],
+            });
+          })
+          .then(revisions => {
+            expect(_.map(revisions, 'name')).to.deep.equal([
+              'first',
+              'second',
+              'first',
+            ]);
+          });
+      });
+      it('should reject unknown revisions', () => {
+        return expect(instance.revertTo(-1)).to.be.rejectedWith(
+          'revision not found'
+        );
+      });
+      it('should run inside the given transaction', () => {
+        return temporaryDB
+          .transaction(transaction => {
+            return instance
+              .revertTo(firstRevision.revisionId, { transaction: transaction })
+              .then(() => {
+                return Promise.reject(new Error('rollback'));
+              });
+          })
+          .catch(() => {
+            return Model.findById(instance.id);
+          })
+          .then(record => {
+            expect(record.name).to.equal('second');
+          });
+      });
+    });
+    describe('Model.restore', () => {
+      it('should recreate a destroyed record from its last revision', () => {
+        return instance
+          .destroy()
+          .then(() => {
+            return Model.restore(instance.id);
+          })
+          .then(() => {
+            return Model.findById(instance.id);
+          })
+          .then(record => {
+            expect(record.name).to.equal('second');
+            return RevisionModel.count({
+              where: { id: instance.id, revisionValidTo: null },
+            });
+          })
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+      it('should not restore a record that exists', () => {
+        return expect(Model.restore(instance.id)).to.be.rejectedWith(
+          'record is not destroyed'
+        );
+      });
+      it('should reject unknown records', () => {
+        return expect(Model.restore(-1)).to.be.rejectedWith(
+          'revision not found'
+        );
+      });
+    });
+  });
+  describe('diffs', () => {
+    let instance, revisions;
+    function createRevisions(options) {
+      RevisionModel = trackRevisions(Model, options);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'first' });
+        })
+        .then(inst => {
+          instance = inst;
+          return instance.update({ name: 'second' });
+        })
+        .then(() => {
+          return RevisionModel.findAll({
+            where: { id: instance.id },
+            order: [['revisionId', 'ASC']],
+          });
+        })
+        .then(revs => {
+          revisions = revs;
+        });
+    }
+    context('without storeChangedAttributes', () => {
+      beforeEach(() => {
+        return createRevisions();
+      });
+      it('should not add a changedAttributes column', () => {
+        expect(RevisionModel.attributes).to.not.have.property(
+          'changedAttributes'
+        );
+      });
+      describe('revision.diff', () => {
+        it('should compare against the previous revision', () => {
+          return revisions[1].diff().then(changes => {
+            expect(changes).to.deep.equal([
+              { attribute: 'name', from: 'first', to: 'second' },
+            ]);
+          });
+        });
+        it('should compare the first revision against empty values', () => {
+          return revisions[0].diff().then(changes => {
+            expect(_.map(changes, 'attribute')).to.deep.equal(['id', 'name']);
+          });
+        });
+      });
+      describe('Model.diffRevisions', () => {
+        it('should compare two revisions', () => {
+          return Model.diffRevisions(
+            revisions[0],
+            revisions[1]
+          ).then(changes => {
+            expect(changes).to.deep.equal([
+              { attribute: 'name', from: 'first', to: 'second' },
+            ]);
+          });
+        });
+        it('should accept revisionIds', () => {
+          return Model.diffRevisions(
+            revisions[1].revisionId,
+            revisions[0].revisionId
+          ).then(changes => {
+            expect(changes).to.deep.equal([
+              { attribute: 'name', from: 'second', to: 'first' },
+            ]);
+          });
+        });
+        it('should reject unknown revisions', () => {
+          return expect(
+            Model.diffRevisions(-1, revisions[0].revisionId)
+          ).to.be.rejectedWith('revision not found');
+        });
+      });
+    });
+    context('with storeChangedAttributes', () => {
+      beforeEach(() => {
+        return createRevisions({ storeChangedAttributes: true });
+      });
+      it('should store the changed attributes on each revision', () => {
+        expect(revisions[0].changedAttributes).to.deep.equal(['id', 'name']);
+        expect(revisions[1].changedAttributes).to.deep.equal(['name']);
+      });
+    });
+  });
+  describe('backfilling revisions', () => {
+    const validFrom = new Date('2017-01-01T00:00:00Z');
+    function findRevisions() {
+      return RevisionModel.findAll({ order: [['id', 'ASC']] });
+    }
+    function trackExistingRows(options) {
+      return Model.bulkCreate([
+        { name: 'legacy1' },
+        { name: 'legacy2' },
+        { name: 'legacy3' },
+      ]).then(() => {
+        RevisionModel = trackRevisions(Model, options);
+        return temporaryDB.sync();
+      });
+    }
+    context('when strict', () => {
+      beforeEach(() => {
+        return trackExistingRows();
+      });
+      it('should not update rows that existed before tracking', () => {
+        return Model.findById(1).then(instance => {
+          return expect(
+            instance.update({ name: 'changed' })
+          ).to.be.rejectedWith('no previous revision exists');
+        });
+      });
+      it('should record a baseline revision for every row', () => {
+        return Model.backfillRevisions({
+          whoDunnit: 'migration',
+          validFrom: validFrom,
+        })
+          .then(count => {
+            expect(count).to.equal(3);
+            return findRevisions();
+          })
+          .then(revisions => {
+            expect(_.map(revisions, 'name')).to.deep.equal([
+              'legacy1',
+              'legacy2',
+              'legacy3',
+            ]);
+            revisions.forEach(revision => {
+              expect(revision.revisionOperation).to.equal('backfill');
+              expect(revision.whoDunnit).to.equal('migration');
+              expect(revision.revisionValidFrom).to.deep.equal(validFrom);
+              expect(revision.revisionValidTo).to.be.null;
+            });
+          });
+      });
+      it('should work in batches', () => {
+        return Model.backfillRevisions({ batchSize: 2 })
+          .then(count => {
+            expect(count).to.equal(3);
+            return findRevisions();
+          })
+          .then(revisions => {
+            expect(revisions.length).to.equal(3);
+          });
+      });
+      it('should only backfill rows without an open revision', () => {
+        return Model.create({ name: 'tracked' })
+          .then(() => {
+            return Model.backfillRevisions();
+          })
+          .then(count => {
+            expect(count).to.equal(3);
+            return Model.backfillRevisions();
+          })
+          .then(count => {
+            expect(count).to.equal(0);
+            return findRevisions();
+          })
+          .then(revisions => {
+            expect(revisions.length).to.equal(4);
+          });
+      });
+      it('should allow updates and destroys once backfilled', () => {
+        return Model.backfillRevisions()
+          .then(() => {
+            return Model.findById(1);
+          })
+          .then(instance => {
+            return instance.update({ name: 'changed' });
+          })
+          .then(() => {
+            return Model.destroy({ where: { id: 2 } });
+          })
+          .then(findRevisions)
+          .then(revisions => {
+            expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+              'backfill',
+              'update',
+              'backfill',
+              'destroy',
+              'backfill',
+            ]);
+            expect(revisions[2].revisionValidTo).to.be.an.instanceof(Date);
+          });
+      });
+      it('should reject an invalid validFrom', () => {
+        return expect(
+          Model.backfillRevisions({ validFrom: 'never' })
+        ).to.be.rejectedWith('invalid date');
+      });
+    });
+    context('when paranoid', () => {
+      let Document, DocumentRevision;
+      beforeEach(() => {
+        Document = temporaryDB.define(
+          'Document',
+          {
+            title: Sequelize.STRING,
+          },
+          {
+            paranoid: true,
+          }
+        );
+        return Document.sync()
+          .then(() => {
+            return Document.bulkCreate([{ title: 'kept' }, { title: 'gone' }]);
+          })
+          .then(() => {
+            return Document.destroy({ where: { title: 'gone' } });
+          })
+          .then(() => {
+            DocumentRevision = trackRevisions(Document);
+            return temporaryDB.sync();
+          });
+      });
+      it('should backfill soft deleted rows as soft deleted', () => {
+        return Document.backfillRevisions()
+          .then(count => {
+            expect(count).to.equal(2);
+            return Document.update({ title: 'renamed' }, { where: {} });
+          })
+          .then(() => {
+            return DocumentRevision.findAll({
+              order: [['revisionId', 'ASC']],
+            });
+          })
+          .then(revisions => {
+            expect(
+              revisions.map(revision => {
+                return [revision.id, revision.revisionOperation];
+              })
+            ).to.deep.equal([
+              [1, 'backfill'],
+              [2, 'softDelete'],
+              [1, 'update'],
+              [2, 'update'],
+            ]);
+            return Document.findAllAsOf(new Date());
+          })
+          .then(asOf => {
+            expect(_.map(asOf, 'id')).to.deep.equal([1]);
+          });
+      });
+    });
+    context('when lenient', () => {
+      beforeEach(() => {
+        return trackExistingRows({ lenient: true });
+      });
+      it('should update rows without an open revision', () => {
+        return Model.findById(1)
+          .then(instance => {
+            return instance.update({ name: 'changed' });
+          })
+          .then(findRevisions)
+          .then(revisions => {
+            expect(revisions.length).to.equal(1);
+            expect(revisions[0].name).to.equal('changed');
+            expect(revisions[0].revisionOperation).to.equal('update');
+          });
+      });
+      it('should destroy rows without an open revision', () => {
+        return Model.findById(1)
+          .then(instance => {
+            return instance.destroy();
+          })
+          .then(() => {
+            return Model.destroy({ where: { id: 2 } });
+          })
+          .then(() => {
+            return Model.count();
+          })
+          .then(count => {
+            expect(count).to.equal(1);
+          });
+      });
+      it('should not update rows whose history was closed', () => {
+        let instance;
+        return Model.create({ name: 'tracked' })
+          .then(inst => {
+            instance = inst;
+            return temporaryDB.query(
+              'UPDATE `' +
+                RevisionModel.getTableName() +
+                "` SET revisionValidTo = '2017-01-01 00:00:00.000 +00:00'"
+            );
+          })
+          .then(() => {
+            return expect(
+              instance.update({ name: 'changed' })
+            ).to.be.rejectedWith('no previous revision exists');
+          })
+          .then(findRevisions)
+          .then(revisions => {
+            expect(_.map(revisions, 'name')).to.deep.equal(['tracked']);
+          });
+      });
+    });
+  });
+  describe('pruning', () => {
+    let instance;
+    function findRevisions() {
+      return RevisionModel.findAll({ order: [['revisionId', 'ASC']] });
+    }
+    beforeEach(() => {
+      RevisionModel = trackRevisions(Model, {
+        retention: { keepLast: 2 },
+      });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'v1' });
+        })
+        .then(inst => {
+          instance = inst;
+          return instance.update({ name: 'v2' });
+        })
+        .then(() => {
+          return instance.update({ name: 'v3' });
+        })
+        .then(() => {
+          return instance.update({ name: 'v4' });
+        });
+    });
+    it('should delete the revisions the policy does not keep', () => {
+      return RevisionModel.prune({ whoDunnit: 'compliance' })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(_.map(revisions, 'name')).to.deep.equal(['v3', 'v4']);
+        });
+    });
+    it('should record what was pruned', () => {
+      return RevisionModel.prune({ whoDunnit: 'compliance' })
+        .then(pruneRecord => {
+          expect(pruneRecord.deletedCount).to.equal(2);
+          return RevisionModel.pruneModel.findAll();
+        })
+        .then(pruneRecords => {
+          expect(pruneRecords.length).to.equal(1);
+          expect(pruneRecords[0].whoDunnit).to.equal('compliance');
+          expect(pruneRecords[0].retention).to.deep.equal({ keepLast: 2 });
+          expect(pruneRecords[0].deletedRevisionIds).to.deep.equal([2, 1]);
+          expect(pruneRecords[0].collapsedRevisionIds).to.deep.equal([]);
+        });
+    });
+    it('should accept overrides of the policy', () => {
+      return RevisionModel.prune({ keepLast: 3 })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(revisions.length).to.equal(3);
+        });
+    });
+    it('should collapse revisions into daily snapshots', () => {
+      let firstValidFrom;
+      return findRevisions()
+        .then(revisions => {
+          firstValidFrom = revisions[0].revisionValidFrom;
+          return RevisionModel.prune({ keepLast: 1, dailySnapshots: true });
+        })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(_.map(revisions, 'name')).to.deep.equal(['v3', 'v4']);
+          expect(revisions[0].revisionValidFrom).to.deep.equal(firstValidFrom);
+          return Model.findAsOf(firstValidFrom);
+        })
+        .then(asOf => {
+          expect(asOf.name).to.equal('v3');
+        });
+    });
+    it('should not allow deleting revisions otherwise', () => {
+      return expect(
+        RevisionModel.destroy({ where: { revisionId: 1 } })
+      ).to.be.rejectedWith('cannot delete revision');
+    });
+    it('should not allow changing prune records', () => {
+      return RevisionModel.prune()
+        .then(pruneRecord => {
+          return expect(
+            pruneRecord.update({ deletedCount: 0 })
+          ).to.be.rejectedWith('cannot change prune record');
+        })
+        .then(() => {
+          return expect(
+            RevisionModel.pruneModel.destroy({ where: {} })
+          ).to.be.rejectedWith('cannot change prune record');
+        });
+    });
+    it('should need a retention policy', () => {
+      const OtherModel = temporaryDB.define('OtherModel', {
+        name: Sequelize.STRING,
+      });
+      return expect(
+        trackRevisions(OtherModel).prune({ keepLast: 1 })
+      ).to.be.rejectedWith('no retention policy');
+    });
+  });
+  describe('hash chain', () => {
+    let instance;
+    function findRevisions() {
+      return RevisionModel.findAll({ order: [['revisionId', 'ASC']] });
+    }
+    function tamper(sql) {
+      return temporaryDB.query(
+        sql.replace('revisions', RevisionModel.getTableName())
+      );
+    }
+    beforeEach(() => {
+      RevisionModel = trackRevisions(Model, {
+        hashChain: true,
+        storeChangedAttributes: true,
+      });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'v1' }, { whoDunnit: 'carmen' });
+        })
+        .then(inst => {
+          instance = inst;
+          return instance.update({ name: 'v2' });
+        })
+        .then(() => {
+          return Model.bulkCreate([{ id: 10, name: 'b1' }]);
+        })
+        .then(() => {
+          return Model.update({ name: 'v3' }, { where: {} });
+        });
+    });
+    it('should link each revision to the previous revision of its record', () => {
+      return findRevisions().then(revisions => {
+        const first = _.filter(revisions, { id: instance.id });
+        expect(first[0].revisionHash).to.have.length(64);
+        expect(first[0].previousRevisionHash).to.be.null;
+        expect(first[1].previousRevisionHash).to.equal(first[0].revisionHash);
+        expect(first[2].previousRevisionHash).to.equal(first[1].revisionHash);
+      });
+    });
+    it('should only read the latest revision to link the next one', () => {
+      const queries = [];
+      temporaryDB.options.logging = sql => {
+        queries.push(sql);
+      };
+      return instance
+        .update({ name: 'v4' })
+        .finally(() => {
+          temporaryDB.options.logging = false;
+        })
+        .then(() => {
+          const hashReads = queries.filter(sql => {
+            return /SELECT `revisionHash`/.test(sql);
+          });
+          expect(hashReads).to.have.length(1);
+          expect(hashReads[0]).to.match(/`revisionId` IN \(\d+\)/);
+        });
+    });
+    it('should verify an untouched chain', () => {
+      return RevisionModel.verifyAll().then(broken => {
+        expect(broken).to.deep.equal([]);
+      });
+    });
+    it('should link and verify destroy revisions', () => {
+      return instance
+        .destroy()
+        .then(() => {
+          return Model.destroy({ where: { id: 10 } });
+        })
+        .then(findRevisions)
+        .then(revisions => {
+          const destroys = _.filter(revisions, {
+            revisionOperation: 'destroy',
+          });
+          expect(_.map(destroys, 'id')).to.deep.equal([instance.id, 10]);
+          expect(_.map(destroys, 'changedAttributes')).to.deep.equal([[], []]);
+          expect(destroys[0].previousRevisionHash).to.equal(
+            _.filter(revisions, { id: instance.id })[2].revisionHash
+          );
+          return RevisionModel.verifyAll();
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([]);
+        });
+    });
+    it('should report revisions changed with SQL', () => {
+      return tamper(
+        "UPDATE `revisions` SET name = 'forged' WHERE revisionId = 2"
+      )
+        .then(() => {
+          return RevisionModel.verifyRevisionChain(instance.id);
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([
+            { revisionId: 2, reason: 'hash mismatch', id: instance.id },
+          ]);
+        });
+    });
+    it('should report revisions deleted with SQL', () => {
+      return tamper('DELETE FROM `revisions` WHERE revisionId = 2')
+        .then(() => {
+          return RevisionModel.verifyAll();
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([
+            { revisionId: 4, reason: 'broken link', id: instance.id },
+            { revisionId: 4, reason: 'gap', id: instance.id },
+          ]);
+        });
+    });
+    it('should report intervals changed with SQL', () => {
+      return tamper(
+        'UPDATE `revisions` SET revisionValidTo = NULL WHERE revisionId = 1'
+      )
+        .then(() => {
+          return RevisionModel.verifyRevisionChain(instance.id);
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([
+            { revisionId: 2, reason: 'overlap', id: instance.id },
+          ]);
+        });
+    });
+    it('should only accept a start that was pruned', () => {
+      const Pruned = temporaryDB.define('Pruned', { name: Sequelize.STRING });
+      const PrunedRevision = trackRevisions(Pruned, {
+        hashChain: true,
+        retention: { keepLast: 2 },
+      });
+      let pruned;
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Pruned.create({ name: 'v1' });
+        })
+        .then(inst => {
+          pruned = inst;
+          return pruned.update({ name: 'v2' });
+        })
+        .then(() => {
+          return pruned.update({ name: 'v3' });
+        })
+        .then(() => {
+          return temporaryDB.query(
+            'DELETE FROM `' +
+              PrunedRevision.getTableName() +
+              "` WHERE name = 'v1'"
+          );
+        })
+        .then(() => {
+          return PrunedRevision.verifyAll();
+        })
+        .then(broken => {
+          expect(_.map(broken, 'reason')).to.deep.equal(['broken link']);
+          return pruned.update({ name: 'v4' });
+        })
+        .then(() => {
+          return PrunedRevision.prune();
+        })
+        .then(() => {
+          return PrunedRevision.verifyAll();
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([]);
+        });
+    });
+    it('should only accept a start pruned from the same record', () => {
+      const Pruned = temporaryDB.define('Pruned', { name: Sequelize.STRING });
+      const PrunedRevision = trackRevisions(Pruned, {
+        hashChain: true,
+        retention: { keepLast: 1 },
+      });
+      let other;
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Pruned.create({ name: 'v1' });
+        })
+        .then(inst => {
+          return inst.update({ name: 'v2' });
+        })
+        .then(() => {
+          return PrunedRevision.prune();
+        })
+        .then(() => {
+          return Pruned.create({ name: 'w1' });
+        })
+        .then(inst => {
+          other = inst;
+          return other.update({ name: 'w2' });
+        })
+        .then(() => {
+          return temporaryDB.query(
+            'DELETE FROM `' +
+              PrunedRevision.getTableName() +
+              "` WHERE name = 'w1'"
+          );
+        })
+        .then(() => {
+          return PrunedRevision.verifyAll();
+        })
+        .then(broken => {
+          expect(broken).to.have.length(1);
+          expect(broken[0]).to.include({ id: other.id, reason: 'broken link' });
+        });
+    });
+    it('should keep the chain through destroy and restore', () => {
+      return instance
+        .destroy()
+        .then(() => {
+          return Model.restore(instance.id);
+        })
+        .then(() => {
+          return RevisionModel.verifyRevisionChain(instance.id);
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([]);
+        });
+    });
+    it('should need hashChain', () => {
+      const OtherModel = temporaryDB.define('OtherModel', {
+        name: Sequelize.STRING,
+      });
+      return expect(trackRevisions(OtherModel).verifyAll()).to.be.rejectedWith(
+        'hashChain is not enabled'
+      );
+    });
+    it('should not combine with daily snapshots', () => {
+      const OtherModel = temporaryDB.define('OtherModel', {
+        name: Sequelize.STRING,
+      });
+      expect(() => {
+        trackRevisions(OtherModel, {
+          hashChain: true,
+          retention: { dailySnapshots: true },
+        });
+      }).to.throw('dailySnapshots cannot be combined with hashChain');
+    });
+  });
+  describe('change feed', () => {
+    let OtherModel, first, second, between;
+    function names(changes) {
+      return changes.map(change => {
+        return [change.model, change.operation, change.whoDunnit].join(' ');
+      });
+    }
+    beforeEach(() => {
+      OtherModel = temporaryDB.define('OtherModel', {
+        title: Sequelize.STRING,
+      });
+      trackRevisions(Model);
+      trackRevisions(OtherModel);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'first' }, { whoDunnit: 'carmen' });
+        })
+        .then(inst => {
+          first = inst;
+          return wait(20);
+        })
+        .then(() => {
+          return OtherModel.create({ title: 'other' }, { whoDunnit: 'vile' });
+        })
+        .then(inst => {
+          second = inst;
+          return wait(20);
+        })
+        .then(() => {
+          between = new Date();
+          return wait(20);
+        })
+        .then(() => {
+          return first.update({ name: 'changed' }, { whoDunnit: 'vile' });
+        })
+        .then(() => {
+          return wait(20);
+        })
+        .then(() => {
+          return second.destroy({ whoDunnit: 'carmen' });
+        });
+    });
+    it('should merge the revisions of every tracked model by time', () => {
+      return trackRevisions
+        .changes({ sequelize: temporaryDB })
+        .then(changes => {
+          expect(names(changes)).to.deep.equal([
+            'TestModel create carmen',
+            'OtherModel create vile',
+            'TestModel update vile',
+            'OtherModel destroy carmen',
+          ]);
+          expect(changes[1].primaryKey).to.equal(second.id);
+          expect(changes[1].revision.title).to.equal('other');
+        });
+    });
+    it('should filter by time, author and model', () => {
+      return trackRevisions
+        .changes({ sequelize: temporaryDB, since: between })
+        .then(changes => {
+          expect(names(changes)).to.deep.equal([
+            'TestModel update vile',
+            'OtherModel destroy carmen',
+          ]);
+          return trackRevisions.changes({
+            sequelize: temporaryDB,
+            until: between,
+            whoDunnit: 'vile',
+          });
+        })
+        .then(changes => {
+          expect(names(changes)).to.deep.equal(['OtherModel create vile']);
+          return trackRevisions.changes({
+            sequelize: temporaryDB,
+            whoDunnit: 'carmen',
+            models: ['OtherModel'],
+          });
+        })
+        .then(changes => {
+          expect(names(changes)).to.deep.equal(['OtherModel destroy carmen']);
+        });
+    });
+    it('should page', () => {
+      return trackRevisions
+        .changes({ sequelize: temporaryDB, limit: 3 })
+        .then(changes => {
+          expect(changes.length).to.equal(3);
+          return trackRevisions.changes({
+            sequelize: temporaryDB,
+            limit: 3,
+            offset: 3,
+          });
+        })
+        .then(changes => {
+          expect(names(changes)).to.deep.equal(['OtherModel destroy carmen']);
+        });
+    });
+    it('should reject models that are not tracked', () => {
+      return expect(
+        trackRevisions.changes({ sequelize: temporaryDB, models: ['Nope'] })
+      ).to.be.rejectedWith('model is not tracked: Nope');
+    });
+    it('should keep a registry of tracked models', () => {
+      expect(
+        _.map(trackRevisions.trackedModels(temporaryDB), 'Model.name')
+      ).to.deep.equal(['TestModel', 'OtherModel']);
+    });
+  });
+  describe('revision events', () => {
+    let emitted;
+    function record(event) {
+      return payload => {
+        emitted.push([event, payload]);
+      };
+    }
+    function listen(emitter) {
+      emitter.on('revision:created', record('revision:created'));
+      emitter.on('revision:closed', record('revision:closed'));
+      emitter.on('record:destroyed', record('record:destroyed'));
+    }
+    function eventNames() {
+      return _.map(emitted, 0);
+    }
+    beforeEach(() => {
+      emitted = [];
+      RevisionModel = trackRevisions(Model);
+      listen(RevisionModel.events);
+      return temporaryDB.sync();
+    });
+    afterEach(() => {
+      trackRevisions.events.removeAllListeners();
+    });
+    it('should emit for create, update and destroy', () => {
+      let instance;
+      return Model.create({ name: 'first' })
+        .then(inst => {
+          instance = inst;
+          expect(eventNames()).to.deep.equal(['revision:created']);
+          const payload = emitted[0][1];
+          expect(payload.model).to.equal('TestModel');
+          expect(payload.instance).to.equal(instance);
+          expect(payload.revision.name).to.equal('first');
+          expect(payload.transaction).to.be.null;
+          return instance.update({ name: 'second' });
+        })
+        .then(() => {
+          return instance.destroy();
+        })
+        .then(() => {
+          expect(eventNames()).to.deep.equal([
+            'revision:created',
+            'revision:closed',
+            'revision:created',
+            'revision:closed',
+            'record:destroyed',
+          ]);
+          expect(emitted[1][1].revision.name).to.equal('first');
+          expect(emitted[1][1].revision.revisionValidTo).to.be.an.instanceof(
+            Date
+          );
+          expect(emitted[4][1].revision.destroyedBy).to.be.a('string');
+          expect(emitted[4][1].instance).to.equal(instance);
+        });
+    });
+    it('should emit for bulk operations', () => {
+      return Model.bulkCreate([{ id: 1, name: 'a' }, { id: 2, name: 'b' }])
+        .then(() => {
+          return Model.update({ name: 'c' }, { where: {} });
+        })
+        .then(() => {
+          return Model.destroy({ where: {} });
+        })
+        .then(() => {
+          expect(_.countBy(eventNames())).to.deep.equal({
+            'revision:created': 4,
+            'revision:closed': 4,
+            'record:destroyed': 2,
+          });
+          const destroyed = _.filter(emitted, { 0: 'record:destroyed' });
+          expect(
+            destroyed.map(event => {
+              return event[1].instance.name;
+            })
+          ).to.deep.equal(['c', 'c']);
+        });
+    });
+    it('should emit on the plugin too', () => {
+      const globalEvents = [];
+      trackRevisions.events.on('revision:created', payload => {
+        globalEvents.push(payload);
+      });
+      return Model.create({ name: 'first' }).then(() => {
+        expect(globalEvents.length).to.equal(1);
+        expect(globalEvents[0]).to.equal(emitted[0][1]);
+      });
+    });
+    it('should wait for the transaction to commit', () => {
+      return temporaryDB.transaction().then(transaction => {
+        return Model.create({ name: 'first' }, { transaction: transaction })
+          .then(() => {
+            expect(emitted).to.deep.equal([]);
+            return transaction.commit();
+          })
+          .then(() => {
+            expect(eventNames()).to.deep.equal(['revision:created']);
+            expect(emitted[0][1].transaction).to.equal(transaction);
+          });
+      });
+    });
+    context('with a Sequelize.cls transaction', () => {
+      beforeEach(() => {
+        Sequelize.cls = cls.createNamespace('sequelize-logbook-test');
+      });
+      afterEach(() => {
+        cls.destroyNamespace('sequelize-logbook-test');
+        delete Sequelize.cls;
+      });
+      it('should wait for the transaction to commit', () => {
+        let transaction;
+        return temporaryDB
+          .transaction(t => {
+            transaction = t;
+            return Model.create({ name: 'first' })
+              .then(() => {
+                return Model.create({ name: 'second' });
+              })
+              .then(() => {
+                expect(emitted).to.deep.equal([]);
+              });
+          })
+          .then(() => {
+            expect(eventNames()).to.deep.equal([
+              'revision:created',
+              'revision:created',
+            ]);
+            expect(emitted[0][1].transaction).to.equal(transaction);
+          });
+      });
+      it('should not emit when the transaction rolls back', () => {
+        return expect(
+          temporaryDB.transaction(() => {
+            return Model.create({ name: 'first' }).then(() => {
+              throw new Error('rolled back');
+            });
+          })
+        )
+          .to.be.rejectedWith('rolled back')
+          .then(() => {
+            expect(emitted).to.deep.equal([]);
+          });
+      });
+    });
+    it('should not fail the write when a listener throws', () => {
+      const errors = [];
+      RevisionModel.events.on('revision:created', () => {
+        throw new Error('listener failed');
+      });
+      RevisionModel.events.on('error', error => {
+        errors.push(error.message);
+      });
+      return temporaryDB
+        .transaction(transaction => {
+          return Model.create({ name: 'first' }, { transaction: transaction });
+        })
+        .then(() => {
+          return Model.create({ name: 'second' });
+        })
+        .then(() => {
+          expect(errors).to.deep.equal(['listener failed', 'listener failed']);
+          expect(eventNames()).to.deep.equal([
+            'revision:created',
+            'revision:created',
+          ]);
+          return RevisionModel.count();
+        })
+        .then(count => {
+          expect(count).to.equal(2);
+        });
+    });
+    it('should call once listeners once', () => {
+      let calls = 0;
+      RevisionModel.events.once('revision:created', () => {
+        calls++;
+      });
+      return Model.create({ name: 'first' })
+        .then(() => {
+          return Model.create({ name: 'second' });
+        })
+        .then(() => {
+          expect(calls).to.equal(1);
+        });
+    });
+    it('should not emit when the transaction rolls back', () => {
+      return temporaryDB
+        .transaction(transaction => {
+          return Model.create(
+            { name: 'first' },
+            { transaction: transaction }
+          ).then(() => {
+            return Sequelize.Promise.reject(new Error('rollback'));
+          });
+        })
+        .then(
+          () => {
+            throw new Error('expected a rollback');
+          },
+          error => {
+            expect(error.message).to.equal('rollback');
+            expect(emitted).to.deep.equal([]);
+          }
+        );
+    });
+  });
+  describe('sensitive attributes', () => {
+    let Person, PersonRevision, person;
+    const encryptionKey = 'not so secret';
+    function findRevisions() {
+      return PersonRevision.findAll({ order: [['revisionId', 'ASC']] });
+    }
+    function findRawRevisions() {
+      return PersonRevision.findAll({
+        order: [['revisionId', 'ASC']],
+        raw: true,
+      });
+    }
+    beforeEach(() => {
+      Person = temporaryDB.define('Person', {
+        name: Sequelize.STRING,
+        password: Sequelize.STRING,
+        ssn: Sequelize.STRING,
+        notes: Sequelize.TEXT,
+        email: Sequelize.STRING,
+        birthday: Sequelize.DATE,
+      });
+      PersonRevision = trackRevisions(Person, {
+        omit: ['password'],
+        redact: { ssn: 'hash', notes: 'placeholder' },
+        encrypt: ['email', 'birthday'],
+        encryptionKey: encryptionKey,
+      });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Person.create({
+            name: 'carmen',
+            password: 'hunter2',
+            ssn: '123-45-6789',
+            notes: 'private',
+            email: 'carmen@acme.test',
+            birthday: new Date('1980-01-01T00:00:00Z'),
+          });
+        })
+        .then(inst => {
+          person = inst;
+        });
+    });
+    it('should never store omitted attributes', () => {
+      expect(PersonRevision.attributes).not.to.have.property('password');
+    });
+    it('should keep the redacted values of rows destroyed in bulk', () => {
+      return Person.destroy({ where: { id: person.id } })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(revisions[1].revisionOperation).to.equal('destroy');
+          expect(revisions[1].ssn).to.equal(revisions[0].ssn);
+          expect(revisions[1].notes).to.equal('[REDACTED]');
+          expect(revisions[1].email).to.equal('carmen@acme.test');
+        });
+    });
+    it('should store redacted and encrypted values', () => {
+      return findRawRevisions().then(revisions => {
+        expect(revisions[0].ssn).to.have.length(64);
+        expect(revisions[0].ssn).not.to.include('6789');
+        expect(revisions[0].notes).to.equal('[REDACTED]');
+        expect(revisions[0].email).to.match(/^enc:v1:/);
+        expect(revisions[0].birthday).to.match(/^enc:v1:/);
+      });
+    });
+    it('should keep the stored values in the destroy revision', () => {
+      return person
+        .destroy()
+        .then(findRawRevisions)
+        .then(revisions => {
+          expect(revisions[1].revisionOperation).to.equal('destroy');
+          expect(revisions[1].ssn).to.equal(revisions[0].ssn);
+          expect(revisions[1].notes).to.equal('[REDACTED]');
+          return findRevisions();
+        })
+        .then(revisions => {
+          expect(revisions[1].email).to.equal('carmen@acme.test');
+        });
+    });
+    it('should decrypt on read', () => {
+      return findRevisions().then(revisions => {
+        expect(revisions[0].email).to.equal('carmen@acme.test');
+        expect(revisions[0].birthday).to.deep.equal(
+          new Date('1980-01-01T00:00:00Z')
+        );
+      });
+    });
+    it('should report redacted changes without their values', () => {
+      return person
+        .update({
+          ssn: '987-65-4321',
+          notes: 'more private',
+          email: 'carmen@vile.test',
+        })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(revisions[1].changedAttributes).to.deep.equal([
+            'ssn',
+            'notes',
+            'email',
+          ]);
+          return Sequelize.Promise.all([
+            Person.diffRevisions(revisions[0], revisions[1]),
+            revisions[1].diff(),
+          ]);
+        })
+        .spread((changes, diff) => {
+          expect(_.sortBy(changes, 'attribute')).to.deep.equal([
+            {
+              attribute: 'email',
+              from: 'carmen@acme.test',
+              to: 'carmen@vile.test',
+            },
+            { attribute: 'notes', from: '[REDACTED]', to: '[REDACTED]' },
+            { attribute: 'ssn', from: '[REDACTED]', to: '[REDACTED]' },
+          ]);
+          expect(diff).to.deep.equal(changes);
+        });
+    });
+    it('should not skip changes to placeholders as identical', () => {
+      const Note = temporaryDB.define('Note', {
+        body: Sequelize.TEXT,
+      });
+      const NoteRevision = trackRevisions(Note, {
+        redact: { body: 'placeholder' },
+        skipIdenticalRevisions: true,
+      });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Note.create({ body: 'a' });
+        })
+        .then(note => {
+          return note.update({ body: 'b' });
+        })
+        .then(() => {
+          return Note.update({ body: 'c' }, { where: {} });
+        })
+        .then(() => {
+          return NoteRevision.findAll({ order: [['revisionId', 'ASC']] });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+            'create',
+            'update',
+            'update',
+          ]);
+          expect(_.map(revisions, 'changedAttributes')).to.deep.equal([
+            ['id', 'body'],
+            ['body'],
+            ['body'],
+          ]);
+        });
+    });
+    it('should not write redacted values back on revert', () => {
+      let firstRevision;
+      return findRevisions()
+        .then(revisions => {
+          firstRevision = revisions[0];
+          return person.update({ name: 'sandiego', ssn: '987-65-4321' });
+        })
+        .then(() => {
+          return person.revertTo(firstRevision.revisionId);
+        })
+        .then(() => {
+          return person.reload();
+        })
+        .then(() => {
+          expect(person.name).to.equal('carmen');
+          expect(person.email).to.equal('carmen@acme.test');
+          expect(person.ssn).to.equal('987-65-4321');
+        });
+    });
+    it('should not allow redacting the primary key', () => {
+      expect(() => {
+        trackRevisions(temporaryDB.define('Other', {}), { redact: ['id'] });
+      }).to.throw('the primary key cannot be redacted or encrypted');
+    });
+    it('should need a key to encrypt', () => {
+      expect(() => {
+        trackRevisions(temporaryDB.define('Other', { a: Sequelize.STRING }), {
+          encrypt: ['a'],
+        });
+      }).to.throw('encryptionKey is required to encrypt');
+    });
+    it('should need a key to hash', () => {
+      expect(() => {
+        trackRevisions(temporaryDB.define('Other', { a: Sequelize.STRING }), {
+          redact: ['a'],
+        });
+      }).to.throw('encryptionKey is required to hash');
+      expect(() => {
+        trackRevisions(temporaryDB.define('Other', { a: Sequelize.STRING }), {
+          redact: { a: 'placeholder' },
+        });
+      }).not.to.throw();
+    });
+    it('should hash the ciphertext of encrypted attributes', () => {
+      const Account = temporaryDB.define('Account', {
+        pin: Sequelize.STRING,
+      });
+      const AccountRevision = trackRevisions(Account, {
+        encrypt: ['pin'],
+        encryptionKey: encryptionKey,
+        hashChain: true,
+      });
+      const hashedAttributes = _.omit(AccountRevision.attributes, [
+        'revisionId',
+        'revisionValidTo',
+        'destroyedBy',
+        'closedChangesetId',
+        'revisionHash',
+      ]);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Account.create({ pin: '1234' });
+        })
+        .then(account => {
+          return account.update({ pin: '4321' });
+        })
+        .then(() => {
+          return Account.bulkCreate([{ pin: '0000' }]);
+        })
+        .then(() => {
+          return AccountRevision.findAll({
+            order: [['revisionId', 'ASC']],
+            raw: true,
+          });
+        })
+        .then(revisions => {
+          expect(revisions).to.have.length(3);
+          revisions.forEach(revision => {
+            expect(revision.pin).to.match(/^enc:v1:/);
+            expect(revision.revisionHash).to.equal(
+              hashChain.hashRevision(revision, hashedAttributes)
+            );
+          });
+          return AccountRevision.verifyAll();
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([]);
+        });
+    });
+  });
+  describe('erasing revision history', () => {
+    let Person, PersonRevision, person, validFrom;
+    function findRevisions() {
+      return PersonRevision.findAll({ order: [['revisionId', 'ASC']] });
+    }
+    beforeEach(() => {
+      Person = temporaryDB.define('Person', {
+        name: Sequelize.STRING,
+        email: Sequelize.STRING,
+        city: Sequelize.STRING,
+      });
+      PersonRevision = trackRevisions(Person, {
+        erasure: true,
+        hashChain: true,
+      });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Person.create({
+            name: 'carmen',
+            email: 'carmen@acme.test',
+            city: 'Paris',
+          });
+        })
+        .then(inst => {
+          person = inst;
+          return person.update({ city: 'Rome' });
+        })
+        .then(findRevisions)
+        .then(revisions => {
+          validFrom = _.map(revisions, 'revisionValidFrom');
+        });
+    });
+    it('should anonymise attributes in every revision', () => {
+      return Person.eraseRevisionHistory(person.id, {
+        attributes: ['name', 'email'],
+        reason: 'erasure request #12',
+      })
+        .then(findRevisions)
+        .then(revisions => {
+          expect(_.map(revisions, 'name')).to.deep.equal([null, null]);
+          expect(_.map(revisions, 'email')).to.deep.equal([null, null]);
+          expect(_.map(revisions, 'city')).to.deep.equal(['Paris', 'Rome']);
+          expect(_.map(revisions, 'revisionValidFrom')).to.deep.equal(
+            validFrom
+          );
+          expect(revisions[0].revisionValidTo).to.deep.equal(validFrom[1]);
+          return Person.findAsOf(validFrom[0]);
+        })
+        .then(asOf => {
+          expect(asOf.city).to.equal('Paris');
+          expect(asOf.name).to.be.null;
+        });
+    });
+    it('should record the erasure', () => {
+      return Person.eraseRevisionHistory(person.id, {
+        reason: 'erasure request #12',
+        whoDunnit: 'dpo',
+      })
+        .then(() => {
+          return PersonRevision.erasureModel.findAll();
+        })
+        .then(erasures => {
+          expect(erasures.length).to.equal(1);
+          expect(erasures[0].primaryKey).to.equal(person.id);
+          expect(erasures[0].reason).to.equal('erasure request #12');
+          expect(erasures[0].whoDunnit).to.equal('dpo');
+          expect(erasures[0].erasedAttributes).to.deep.equal([
+            'name',
+            'email',
+            'city',
+          ]);
+          expect(erasures[0].revisionIds).to.deep.equal([1, 2]);
+          return expect(erasures[0].destroy()).to.be.rejectedWith(
+            'cannot change erasure record'
+          );
+        });
+    });
+    it('should keep the hash chain intact', () => {
+      return Person.eraseRevisionHistory(person.id, { reason: 'request' })
+        .then(() => {
+          return PersonRevision.verifyAll();
+        })
+        .then(broken => {
+          expect(broken).to.deep.equal([]);
+        });
+    });
+    it('should need a reason', () => {
+      return expect(Person.eraseRevisionHistory(person.id)).to.be.rejectedWith(
+        'an erasure needs a reason'
+      );
+    });
+    it('should only erase tracked attributes', () => {
+      return expect(
+        Person.eraseRevisionHistory(person.id, {
+          attributes: ['id', 'nope'],
+          reason: 'request',
+        })
+      ).to.be.rejectedWith('cannot erase: id, nope');
+    });
+    it('should only use a placeholder for strings that cannot be null', () => {
+      const Member = temporaryDB.define('Member', {
+        nickname: { type: Sequelize.STRING, allowNull: false },
+        age: { type: Sequelize.INTEGER, allowNull: false },
+      });
+      const MemberRevision = trackRevisions(Member, { erasure: true });
+      let member;
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Member.create({ nickname: 'carmen', age: 42 });
+        })
+        .then(inst => {
+          member = inst;
+          return expect(
+            Member.eraseRevisionHistory(member.id, { reason: 'request' })
+          ).to.be.rejectedWith(
+            'cannot erase attributes that do not allow null and are not strings: age'
+          );
+        })
+        .then(() => {
+          return Member.eraseRevisionHistory(member.id, {
+            attributes: ['nickname'],
+            reason: 'request',
+          });
+        })
+        .then(() => {
+          return MemberRevision.findAll();
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'nickname')).to.deep.equal(['[REDACTED]']);
+          expect(_.map(revisions, 'age')).to.deep.equal([42]);
+        });
+    });
+    it('should not allow bulk updates of revisions otherwise', () => {
+      return expect(
+        PersonRevision.update({ name: null }, { where: {} })
+      ).to.be.rejectedWith('cannot update revision');
+    });
+    it('should need erasure to be enabled', () => {
+      trackRevisions(Model);
+      return expect(
+        Model.eraseRevisionHistory(1, { reason: 'request' })
+      ).to.be.rejectedWith('erasure is not enabled');
+    });
+  });
+  describe('associations as of', () => {
+    let Order, OrderLine, order, before, after;
+    beforeEach(() => {
+      Order = temporaryDB.define('Order', {
+        reference: Sequelize.STRING,
+      });
+      OrderLine = temporaryDB.define('OrderLine', {
+        product: Sequelize.STRING,
+        quantity: Sequelize.INTEGER,
+      });
+      Order.hasMany(OrderLine, { as: 'lines' });
+      OrderLine.belongsTo(Order);
+      trackRevisions(Order, { associations: ['lines'] });
+      trackRevisions(OrderLine, { associations: ['Order'] });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Order.create({ reference: 'A-1' });
+        })
+        .then(inst => {
+          order = inst;
+          return OrderLine.bulkCreate(
+            [
+              { product: 'pen', quantity: 1, OrderId: order.id },
+              { product: 'ink', quantity: 2, OrderId: order.id },
+            ],
+            { individualHooks: true }
+          );
+        })
+        .then(() => {
+          return wait(20);
+        })
+        .then(() => {
+          before = new Date();
+          return wait(20);
+        })
+        .then(() => {
+          return OrderLine.update(
+            { quantity: 5 },
+            { where: { product: 'pen' }, individualHooks: true }
+          );
+        })
+        .then(() => {
+          return OrderLine.destroy({ where: { product: 'ink' } });
+        })
+        .then(() => {
+          return order.update({ reference: 'A-2' });
+        })
+        .then(() => {
+          after = new Date();
+        });
+    });
+    it('should read hasMany associations at the same time', () => {
+      return order
+        .asOf(before)
+        .then(asOf => {
+          expect(asOf.reference).to.equal('A-1');
+          expect(_.map(asOf.lines, 'product').sort()).to.deep.equal([
+            'ink',
+            'pen',
+          ]);
+          expect(_.find(asOf.lines, { product: 'pen' }).quantity).to.equal(1);
+          return order.asOf(after);
+        })
+        .then(asOf => {
+          expect(asOf.reference).to.equal('A-2');
+          expect(_.map(asOf.lines, 'quantity')).to.deep.equal([5]);
+        });
+    });
+    it('should read belongsTo associations at the same time', () => {
+      return OrderLine.findAllAsOf(before).then(lines => {
+        expect(lines.length).to.equal(2);
+        lines.forEach(line => {
+          expect(line.Order.reference).to.equal('A-1');
+          expect(line.Order.lines).to.be.undefined;
+        });
+      });
+    });
+    it('should index foreign keys', () => {
+      return temporaryDB
+        .getQueryInterface()
+        .showIndex(OrderLine.revisionModel.getTableName())
+        .then(indexes => {
+          expect(
+            _.some(indexes, index => {
+              return _.isEqual(_.map(index.fields, 'attribute'), ['OrderId']);
+            })
+          ).to.equal(true);
+        });
+    });
+    it('should need the associated model to be tracked', () => {
+      const Customer = temporaryDB.define('Customer', {});
+      const Invoice = temporaryDB.define('Invoice', {});
+      Invoice.belongsTo(Customer);
+      trackRevisions(Invoice, { associations: ['Customer'] });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Invoice.create({});
+        })
+        .then(() => {
+          return expect(Invoice.findAllAsOf(new Date())).to.be.rejectedWith(
+            'associated model is not tracked: Customer'
+          );
+        });
+    });
+  });
+  describe('changesets', () => {
+    let OtherModel, kept, gone;
+    beforeEach(() => {
+      OtherModel = temporaryDB.define('OtherModel', {
+        title: Sequelize.STRING,
+      });
+      trackRevisions(Model);
+      trackRevisions(OtherModel);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Model.create({ name: 'kept' });
+        })
+        .then(inst => {
+          kept = inst;
+          return OtherModel.create({ title: 'gone' });
+        })
+        .then(inst => {
+          gone = inst;
+        });
+    });
+    function changeEverything() {
+      return temporaryDB.transaction(transaction => {
+        const options = { transaction: transaction, whoDunnit: 'carmen' };
+        return kept
+          .update({ name: 'changed' }, options)
+          .then(() => {
+            return wait(20);
+          })
+          .then(() => {
+            return gone.destroy(options);
+          })
+          .then(() => {
+            return Model.create({ name: 'new' }, options);
+          });
+      });
+    }
+    function latestRevision() {
+      return Model.revisionModel.findOne({
+        where: { id: kept.id },
+        order: [['revisionId', 'DESC']],
+      });
+    }
+    it('should share a changeset id and timestamp within a transaction', () => {
+      return changeEverything()
+        .then(() => {
+          return Sequelize.Promise.all([
+            Model.revisionModel.findAll({ order: [['revisionId', 'ASC']] }),
+            OtherModel.revisionModel.findAll(),
+          ]);
+        })
+        .spread((revisions, otherRevisions) => {
+          const changesetId = revisions[1].changesetId;
+          expect(changesetId).to.match(/^[0-9a-f-]{36}$/);
+          expect(revisions[0].changesetId).not.to.equal(changesetId);
+          expect(revisions[0].closedChangesetId).to.equal(changesetId);
+          expect(revisions[2].changesetId).to.equal(changesetId);
+          expect(otherRevisions[0].closedChangesetId).to.equal(changesetId);
+          expect(revisions[1].revisionValidFrom.valueOf()).to.equal(
+            revisions[2].revisionValidFrom.valueOf()
+          );
+          expect(otherRevisions[0].revisionValidTo.valueOf()).to.equal(
+            revisions[1].revisionValidFrom.valueOf()
+          );
+        });
+    });
+    it('should share a changeset within a Sequelize.cls transaction', () => {
+      Sequelize.cls = cls.createNamespace('sequelize-logbook-test');
+      return temporaryDB
+        .transaction(() => {
+          return kept.update({ name: 'changed' }).then(() => {
+            return gone.destroy();
+          });
+        })
+        .finally(() => {
+          cls.destroyNamespace('sequelize-logbook-test');
+          delete Sequelize.cls;
+        })
+        .then(() => {
+          return Sequelize.Promise.all([
+            latestRevision(),
+            OtherModel.revisionModel.findOne({
+              order: [['revisionId', 'DESC']],
+            }),
+          ]);
+        })
+        .spread((revision, otherRevision) => {
+          expect(otherRevision.closedChangesetId).to.equal(
+            revision.changesetId
+          );
+        });
+    });
+    it('should not close a revision before it started', () => {
+      let firstWrite;
+      return wait(20)
+        .then(() => {
+          firstWrite = new Date();
+          return wait(20);
+        })
+        .then(() => {
+          return kept.update({ name: 'elsewhere' });
+        })
+        .then(() => {
+          return temporaryDB.transaction(transaction => {
+            // as if the transaction had written something else
+            // before kept was changed outside of it
+            transaction.revisionChangeset = {
+              id: 'b1d4ed5c-7a4e-4f8e-9b55-5a6d1c2e8f10',
+              timestamp: firstWrite,
+            };
+            return kept.update(
+              { name: 'changed' },
+              { transaction: transaction }
+            );
+          });
+        })
+        .then(() => {
+          return Model.revisionModel.findAll({
+            order: [['revisionId', 'ASC']],
+          });
+        })
+        .then(revisions => {
+          expect(revisions[1].revisionValidTo.valueOf()).to.equal(
+            revisions[1].revisionValidFrom.valueOf()
+          );
+          expect(revisions[2].revisionValidFrom.valueOf()).to.equal(
+            revisions[1].revisionValidFrom.valueOf()
+          );
+          return Model.revisionModel.assertIntervalsConsistent();
+        })
+        .then(() => {
+          return Model.findAsOf(firstWrite);
+        })
+        .then(asOf => {
+          expect(asOf.name).to.equal('kept');
+        });
+    });
+    it('should give writes outside of a transaction their own changeset', () => {
+      return Model.revisionModel.findAll().then(revisions => {
+        return OtherModel.revisionModel.findAll().then(otherRevisions => {
+          expect(revisions[0].changesetId).not.to.equal(
+            otherRevisions[0].changesetId
+          );
+        });
+      });
+    });
+    it('should list a changeset', () => {
+      return changeEverything()
+        .then(latestRevision)
+        .then(revision => {
+          return trackRevisions.changeset(revision.changesetId, {
+            sequelize: temporaryDB,
+          });
+        })
+        .then(changes => {
+          expect(
+            changes.map(change => {
+              return [change.model, change.operation, change.whoDunnit].join(
+                ' '
+              );
+            })
+          ).to.deep.equal([
+            'OtherModel destroy carmen',
+            'TestModel update carmen',
+            'TestModel create carmen',
+          ]);
+        });
+    });
+    it('should revert a changeset', () => {
+      let created;
+      return changeEverything()
+        .then(inst => {
+          created = inst;
+          return latestRevision();
+        })
+        .then(revision => {
+          return trackRevisions.revertChangeset(revision.changesetId, {
+            sequelize: temporaryDB,
+            whoDunnit: 'vile',
+          });
+        })
+        .then(reverted => {
+          expect(_.sortBy(reverted, ['model', 'primaryKey'])).to.deep.equal([
+            { model: 'OtherModel', primaryKey: gone.id },
+            { model: 'TestModel', primaryKey: kept.id },
+            { model: 'TestModel', primaryKey: created.id },
+          ]);
+          return Sequelize.Promise.all([
+            Model.findAll({ order: [['id', 'ASC']] }),
+            OtherModel.findAll(),
+            latestRevision(),
+          ]);
+        })
+        .spread((records, otherRecords, revision) => {
+          expect(_.map(records, 'name')).to.deep.equal(['kept']);
+          expect(_.map(otherRecords, 'title')).to.deep.equal(['gone']);
+          expect(revision.whoDunnit).to.equal('vile');
+        });
+    });
+    it('should not revert a changeset that has been superseded', () => {
+      let changesetId;
+      return changeEverything()
+        .then(latestRevision)
+        .then(revision => {
+          changesetId = revision.changesetId;
+          return kept.update({ name: 'again' });
+        })
+        .then(() => {
+          return expect(Model.revertChangeset(changesetId)).to.be.rejectedWith(
+            'changeset has been superseded'
+          );
+        })
+        .then(() => {
+          return Model.count();
+        })
+        .then(count => {
+          expect(count).to.equal(2);
+        });
+    });
+  });
+  describe('composite primary keys', () => {
+    let LineItem, RevisionModel;
+    function quantities(where) {
+      return RevisionModel.findAll({
+        where: where,
+        order: [['revisionId', 'ASC']],
+      }).then(revisions => {
+        return revisions.map(revision => {
+          return [
+            revision.quantity,
+            revision.revisionValidTo === null ? 'open' : 'closed',
+          ].join(' ');
+        });
+      });
+    }
+    beforeEach(() => {
+      LineItem = temporaryDB.define('LineItem', {
+        orderId: { type: Sequelize.INTEGER, primaryKey: true },
+        productId: { type: Sequelize.INTEGER, primaryKey: true },
+        quantity: Sequelize.INTEGER,
+      });
+      RevisionModel = trackRevisions(LineItem);
+      return temporaryDB.sync().then(() => {
+        return LineItem.bulkCreate([
+          { orderId: 1, productId: 1, quantity: 1 },
+          { orderId: 1, productId: 2, quantity: 2 },
+          { orderId: 2, productId: 1, quantity: 3 },
+        ]);
+      });
+    });
+    it('should keep the revisions of each record apart', () => {
+      return LineItem.findOne({ where: { orderId: 1, productId: 2 } })
+        .then(item => {
+          return item.update({ quantity: 5 });
+        })
+        .then(() => {
+          return quantities({ orderId: 1, productId: 2 });
+        })
+        .then(revisions => {
+          expect(revisions).to.deep.equal(['2 closed', '5 open']);
+          return quantities({ productId: 1 });
+        })
+        .then(revisions => {
+          expect(revisions).to.deep.equal(['1 open', '3 open']);
+        });
+    });
+    it('should track bulk updates and destroys', () => {
+      return LineItem.update({ quantity: 9 }, { where: { productId: 1 } })
+        .then(() => {
+          return LineItem.destroy({ where: { orderId: 1 } });
+        })
+        .then(() => {
+          return Sequelize.Promise.all([
+            quantities({ orderId: 1, productId: 1 }),
+            quantities({ orderId: 1, productId: 2 }),
+            quantities({ orderId: 2, productId: 1 }),
+          ]);
+        })
+        .spread((first, second, third) => {
+          expect(first).to.deep.equal(['1 closed', '9 closed', '9 closed']);
+          expect(second).to.deep.equal(['2 closed', '2 closed']);
+          expect(third).to.deep.equal(['3 closed', '9 open']);
+        });
+    });
+    it('should read, revert and restore by the whole key', () => {
+      let item, created;
+      return LineItem.findOne({ where: { orderId: 1, productId: 1 } })
+        .then(inst => {
+          item = inst;
+          return RevisionModel.findOne({ where: { orderId: 1, productId: 1 } });
+        })
+        .then(revision => {
+          created = revision;
+          return wait(20);
+        })
+        .then(() => {
+          return item.update({ quantity: 4 });
+        })
+        .then(() => {
+          return item.asOf(created.revisionValidFrom);
+        })
+        .then(asOf => {
+          expect(asOf.quantity).to.equal(1);
+          return item.revertTo(created.revisionId);
+        })
+        .then(() => {
+          expect(item.quantity).to.equal(1);
+          return item.destroy();
+        })
+        .then(() => {
+          return LineItem.restore({ orderId: 1, productId: 1 });
+        })
+        .then(restored => {
+          expect(restored.quantity).to.equal(1);
+          return quantities({ orderId: 1, productId: 1 });
+        })
+        .then(revisions => {
+          expect(revisions).to.deep.equal([
+            '1 closed',
+            '4 closed',
+            '1 closed',
+            '1 closed',
+            '1 open',
+          ]);
+        });
+    });
+    it('should backfill in batches', () => {
+      return RevisionModel.destroy({ where: {}, hooks: false })
+        .then(() => {
+          return LineItem.backfillRevisions({ batchSize: 1 });
+        })
+        .then(count => {
+          expect(count).to.equal(3);
+          return RevisionModel.count();
+        })
+        .then(count => {
+          expect(count).to.equal(3);
+        });
+    });
+    it('should report the whole key in the change feed', () => {
+      return trackRevisions
+        .changes({ sequelize: temporaryDB, models: ['LineItem'] })
+        .then(changes => {
+          expect(changes[0].primaryKey).to.deep.equal({
+            orderId: 1,
+            productId: 1,
+          });
+        });
+    });
+    it('should index the whole key', () => {
+      return temporaryDB
+        .getQueryInterface()
+        .showIndex(RevisionModel.getTableName())
+        .then(indexes => {
+          expect(
+            _.some(indexes, index => {
+              return _.isEqual(_.map(index.fields, 'attribute'), [
+                'orderId',
+                'productId',
+              ]);
+            })
+          ).to.equal(true);
+        });
+    });
+  });
+  describe('concurrent writes', () => {
+    let RevisionModel, inst;
+    beforeEach(() => {
+      RevisionModel = trackRevisions(Model);
+      return RevisionModel.sync()
+        .then(() => {
+          return Model.create({ name: 'first' });
+        })
+        .then(created => {
+          inst = created;
+          return wait(20);
+        })
+        .then(() => {
+          return inst.update({ name: 'second' });
+        });
+    });
+    function openRevisions() {
+      return RevisionModel.count({
+        where: { id: inst.id, revisionValidTo: null },
+      });
+    }
+    it('should not close a revision that was closed since it was read', () => {
+      const findOne = RevisionModel.findOne;
+      return RevisionModel.findOne({ where: { revisionId: 1 } })
+        .then(stale => {
+          // another writer closed it after it was read
+          RevisionModel.findOne = () => {
+            RevisionModel.findOne = findOne;
+            return Sequelize.Promise.resolve(stale);
+          };
+          return expect(
+            RevisionModel.create({ id: inst.id, name: 'third' })
+          ).to.be.rejectedWith('the open revision was closed concurrently');
+        })
+        .then(openRevisions)
+        .then(count => {
+          expect(count).to.equal(1);
+        });
+    });
+    it('should lock the open revision inside transactions', () => {
+      let findOptions;
+      const findOne = RevisionModel.findOne;
+      RevisionModel.findOne = function(options) {
+        findOptions = options;
+        return findOne.apply(this, arguments);
+      };
+      return temporaryDB
+        .transaction(transaction => {
+          return RevisionModel.create(
+            { id: inst.id, name: 'third' },
+            { transaction: transaction }
+          ).then(() => {
+            expect(findOptions.lock).to.equal(transaction.LOCK.UPDATE);
+          });
+        })
+        .finally(() => {
+          RevisionModel.findOne = findOne;
+        })
+        .then(openRevisions)
+        .then(count => {
+          expect(count).to.equal(1);
+        });
+    });
+    it('should find consistent intervals consistent', () => {
+      return inst.destroy().then(() => {
+        return RevisionModel.assertIntervalsConsistent();
+      });
+    });
+    it('should report overlapping revisions', () => {
+      return RevisionModel.update(
+        { revisionValidTo: null },
+        { where: { revisionId: 1 }, hooks: false }
+      )
+        .then(() => {
+          return RevisionModel.assertIntervalsConsistent();
+        })
+        .then(
+          () => {
+            throw new Error('expected a rejection');
+          },
+          error => {
+            expect(error.message).to.equal(
+              'inconsistent revision intervals: 2'
+            );
+            expect(error.inconsistencies).to.deep.equal([
+              { revisionId: 2, reason: 'overlap', id: inst.id },
+            ]);
+          }
+        );
+    });
+    it('should need postgres for a unique index of open revisions', () => {
+      expect(() => {
+        trackRevisions(temporaryDB.define('Unique', {}), {
+          uniqueOpenRevisions: true,
+        });
+      }).to.throw('uniqueOpenRevisions needs postgres');
+    });
+    it('should create a partial unique index of open revisions', () => {
+      // building queries needs no connection, any module stands in for pg
+      const postgresDB = new Sequelize('database', 'username', 'password', {
+        dialect: 'postgres',
+        dialectModulePath: 'lodash',
+        logging: false,
+      });
+      const UniqueRevision = trackRevisions(postgresDB.define('Unique', {}), {
+        uniqueOpenRevisions: true,
+      });
+      const index = _.find(UniqueRevision.options.indexes, {
+        name: 'Unique_revision_open',
+      });
+      expect(
+        postgresDB
+          .getQueryInterface()
+          .QueryGenerator.addIndexQuery(UniqueRevision.getTableName(), index)
+      ).to.equal(
+        'CREATE UNIQUE INDEX "Unique_revision_open" ON "Unique_revisions" ("id") WHERE "revisionValidTo" IS NULL'
+      );
+    });
+  });
+  describe('paranoid models', () => {
+    let Document, RevisionModel, doc;
+    function history() {
+      return RevisionModel.findAll({
+        order: [['revisionId', 'ASC']],
+      }).then(revisions => {
+        return revisions.map(revision => {
+          return [
+            revision.id,
+            revision.revisionOperation,
+            revision.revisionValidTo === null ? 'open' : 'closed',
+            revision.destroyedBy,
+          ]
+            .join(' ')
+            .trim();
+        });
+      });
+    }
+    beforeEach(() => {
+      Document = temporaryDB.define(
+        'Document',
+        {
+          title: Sequelize.STRING,
+        },
+        {
+          paranoid: true,
+        }
+      );
+      RevisionModel = trackRevisions(Document);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Document.create({ title: 'draft' });
+        })
+        .then(created => {
+          doc = created;
+        });
+    });
+    it('should keep the history open across soft deletes and restores', () => {
+      return doc
+        .destroy({ whoDunnit: 'carmen' })
+        .then(() => {
+          return doc.restore({ whoDunnit: 'vile' });
+        })
+        .then(() => {
+          return doc.update({ title: 'final' });
+        })
+        .then(history)
+        .then(revisions => {
+          expect(revisions).to.deep.equal([
+            '1 create closed',
+            '1 softDelete closed',
+            '1 restore closed',
+            '1 update open',
+          ]);
+          return RevisionModel.findAll({ where: { whoDunnit: 'carmen' } });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'revisionOperation')).to.deep.equal([
+            'softDelete',
+          ]);
+          return RevisionModel.assertIntervalsConsistent();
+        });
+    });
+    it('should record bulk soft deletes and restores', () => {
+      return Document.create({ title: 'other' })
+        .then(() => {
+          return Document.destroy({ where: {}, whoDunnit: 'carmen' });
+        })
+        .then(() => {
+          return Document.restore({ where: { id: doc.id } });
+        })
+        .then(history)
+        .then(revisions => {
+          expect(revisions).to.deep.equal([
+            '1 create closed',
+            '2 create closed',
+            '1 softDelete closed',
+            '2 softDelete open',
+            '1 restore open',
+          ]);
+        });
+    });
+    it('should tell hard deletes from soft deletes', () => {
+      return doc
+        .destroy()
+        .then(() => {
+          return doc.destroy({ force: true, whoDunnit: 'carmen' });
+        })
+        .then(history)
+        .then(revisions => {
+          expect(revisions).to.deep.equal([
+            '1 create closed',
+            '1 softDelete closed carmen',
+            '1 destroy closed',
+          ]);
+        });
+    });
+    it('should record bulk updates of soft deleted rows', () => {
+      return doc
+        .destroy()
+        .then(() => {
+          return Document.update({ title: 'renamed' }, { where: {} });
+        })
+        .then(history)
+        .then(revisions => {
+          expect(_.last(revisions)).to.equal('1 update open');
+        });
+    });
+    it('should track deletedAt', () => {
+      expect(RevisionModel.attributes.deletedAt).to.exist;
+      expect(() => {
+        trackRevisions(Document, {
+          modelName: 'Document_excluded',
+          exclude: ['deletedAt'],
+        });
+      }).to.throw('the deletedAt of a paranoid model must be tracked');
+    });
+    it('should keep records soft deleted across bulk updates', () => {
+      return doc
+        .destroy()
+        .then(() => {
+          return Document.update({ title: 'renamed' }, { where: {} });
+        })
+        .then(() => {
+          return Sequelize.Promise.all([
+            Document.findAll(),
+            Document.findAllAsOf(new Date()),
+            RevisionModel.current(doc.id),
+            RevisionModel.current(doc.id, { paranoid: false }),
+          ]);
+        })
+        .spread((found, asOf, current, softDeleted) => {
+          expect(found).to.deep.equal([]);
+          expect(asOf).to.deep.equal([]);
+          expect(current).to.equal(null);
+          expect(softDeleted.revisionOperation).to.equal('update');
+          expect(softDeleted.title).to.equal('renamed');
+        });
+    });
+    it('should leave soft deleted records out of point in time queries', () => {
+      let deletedAt;
+      return doc
+        .destroy()
+        .then(() => {
+          deletedAt = new Date();
+          return Document.findAllAsOf(deletedAt);
+        })
+        .then(asOf => {
+          expect(asOf).to.deep.equal([]);
+          return Document.findAllAsOf(deletedAt, { paranoid: false });
+        })
+        .then(asOf => {
+          expect(_.map(asOf, 'title')).to.deep.equal(['draft']);
+        });
+    });
+  });
+  describe('schema versions', () => {
+    let Note, RevisionModel, before;
+    function defineNote(attributes, options) {
+      Note = temporaryDB.define(
+        'Note',
+        _.assign({ title: Sequelize.STRING }, attributes)
+      );
+      RevisionModel = trackRevisions(
+        Note,
+        _.assign({ trackSchema: true }, options)
+      );
+    }
+    beforeEach(() => {
+      defineNote();
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return RevisionModel.checkSchema({ fix: true });
+        })
+        .then(() => {
+          return Note.create({ title: 'first' });
+        })
+        .then(() => {
+          return wait(10);
+        })
+        .then(() => {
+          before = new Date();
+          return wait(10);
+        });
+    });
+    function addStatus() {
+      const status = { type: Sequelize.STRING, defaultValue: 'open' };
+      return temporaryDB
+        .getQueryInterface()
+        .addColumn(Note.getTableName(), 'status', status)
+        .then(() => {
+          defineNote({ status: status });
+        });
+    }
+    it('should stamp revisions with the schema version', () => {
+      return RevisionModel.findOne()
+        .then(revision => {
+          expect(revision.revisionSchemaVersion).to.match(/^[0-9a-f]{16}$/);
+          return RevisionModel.schemaModel.findOne({
+            where: { schemaVersion: revision.revisionSchemaVersion },
+          });
+        })
+        .then(schema => {
+          expect(schema.attributeNames).to.deep.equal(['id', 'title']);
+        });
+    });
+    it('should use the configured schema version', () => {
+      defineNote({}, { schemaVersion: 'v2' });
+      return Note.create({ title: 'second' })
+        .then(() => {
+          return RevisionModel.findOne({ where: { title: 'second' } });
+        })
+        .then(revision => {
+          expect(revision.revisionSchemaVersion).to.equal('v2');
+        });
+    });
+    it('should report columns missing from the revision table', () => {
+      return addStatus()
+        .then(() => {
+          return RevisionModel.checkSchema();
+        })
+        .then(report => {
+          expect(report.missing).to.deep.equal(['status']);
+          expect(report.extra).to.deep.equal([]);
+          expect(report.fixed).to.deep.equal([]);
+          return trackRevisions.checkSchemas({ sequelize: temporaryDB });
+        })
+        .then(reports => {
+          expect(_.map(reports, 'model')).to.deep.equal(['Note']);
+          expect(reports[0].missing).to.deep.equal(['status']);
+        });
+    });
+    it('should add the missing columns when fixing', () => {
+      return addStatus()
+        .then(() => {
+          return RevisionModel.checkSchema({ fix: true });
+        })
+        .then(report => {
+          expect(report.fixed).to.deep.equal(['status']);
+          return RevisionModel.checkSchema();
+        })
+        .then(report => {
+          expect(report.missing).to.deep.equal([]);
+          return RevisionModel.schemaModel.count();
+        })
+        .then(count => {
+          expect(count).to.equal(2);
+        });
+    });
+    it('should tolerate a missing schema table', () => {
+      return temporaryDB
+        .getQueryInterface()
+        .dropTable(RevisionModel.schemaModel.getTableName())
+        .then(() => {
+          return Note.findAsOf(new Date(), { where: { id: 1 } });
+        })
+        .then(note => {
+          expect(note.title).to.equal('first');
+          return RevisionModel.checkSchema();
+        })
+        .then(report => {
+          expect(report.missing).to.deep.equal([]);
+          expect(report.missingTables).to.deep.equal(['Note_revision_schemas']);
+          return RevisionModel.checkSchema({ fix: true });
+        })
+        .then(() => {
+          return RevisionModel.checkSchema();
+        })
+        .then(report => {
+          expect(report.missingTables).to.deep.equal([]);
+          return RevisionModel.schemaModel.count();
+        })
+        .then(count => {
+          expect(count).to.equal(1);
+        });
+    });
+    it('should read older revisions without the attributes added since', () => {
+      return addStatus()
+        .then(() => {
+          return RevisionModel.checkSchema({ fix: true });
+        })
+        .then(() => {
+          return Note.findAsOf(before, { where: { id: 1 } });
+        })
+        .then(note => {
+          expect(note.title).to.equal('first');
+          expect(note.status).to.equal('open');
+          return Note.findById(1);
+        })
+        .then(note => {
+          return note.destroy();
+        })
+        .then(() => {
+          return Note.restore(1);
+        })
+        .then(note => {
+          expect(note.status).to.equal('open');
+        });
+    });
+  });
+  describe('revision queries', () => {
+    let Note, RevisionModel, note, other, start, middle;
+    beforeEach(() => {
+      Note = temporaryDB.define('Note', {
+        title: Sequelize.STRING,
+      });
+      RevisionModel = trackRevisions(Note);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          start = new Date();
+          return Note.create({ title: 'first' }, { whoDunnit: 'carmen' });
+        })
+        .then(created => {
+          note = created;
+          return Note.create({ title: 'other' }, { whoDunnit: 'vile' });
+        })
+        .then(created => {
+          other = created;
+          return wait(10);
+        })
+        .then(() => {
+          middle = new Date();
+          return wait(10);
+        })
+        .then(() => {
+          return note.update({ title: 'second' }, { whoDunnit: 'carmen' });
+        })
+        .then(() => {
+          return note.update({ title: 'third' }, { whoDunnit: 'vile' });
+        });
+    });
+    it('should find the history of a record', () => {
+      return RevisionModel.historyFor(note.id)
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal([
+            'first',
+            'second',
+            'third',
+          ]);
+          return RevisionModel.historyFor(note.id, {
+            order: [['revisionId', 'DESC']],
+            limit: 1,
+            offset: 1,
+          });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal(['second']);
+          return RevisionModel.historyFor(note.id, {
+            where: { whoDunnit: 'vile' },
+          });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal(['third']);
+        });
+    });
+    it('should find the current revision of a record', () => {
+      return RevisionModel.current(note.id)
+        .then(revision => {
+          expect(revision.title).to.equal('third');
+          expect(revision.revisionValidTo).to.equal(null);
+          return other.destroy();
+        })
+        .then(() => {
+          return RevisionModel.current(other.id);
+        })
+        .then(revision => {
+          expect(revision).to.equal(null);
+        });
+    });
+    it('should find the revisions of an author', () => {
+      return RevisionModel.byAuthor('carmen')
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal(['first', 'second']);
+          return RevisionModel.byAuthor('vile', { from: middle });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal(['third']);
+          return RevisionModel.byAuthor('vile', { to: middle });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal(['other']);
+        });
+    });
+    it('should find the revisions recorded between two dates', () => {
+      return RevisionModel.changedBetween(start, middle)
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal(['first', 'other']);
+          return RevisionModel.changedBetween(middle, new Date(), {
+            attributes: ['revisionId', 'title'],
+          });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal(['second', 'third']);
+          expect(() => {
+            RevisionModel.changedBetween('not a date', middle);
+          }).to.throw('invalid date');
+        });
+    });
+    it('should navigate between the revisions of a record', () => {
+      return RevisionModel.historyFor(note.id)
+        .then(revisions => {
+          return Promise.all([
+            revisions[1].previous(),
+            revisions[1].next(),
+            revisions[0].previous(),
+            revisions[2].next(),
+            revisions[2].previous({ where: { whoDunnit: 'carmen' } }),
+          ]);
+        })
+        .then(neighbours => {
+          expect(_.map(neighbours, 'title')).to.deep.equal([
+            'first',
+            'third',
+            undefined,
+            undefined,
+            'second',
+          ]);
+        });
+    });
+    it('should get the revisions of an instance', () => {
+      return temporaryDB
+        .transaction(transaction => {
+          return note
+            .update({ title: 'fourth' }, { transaction: transaction })
+            .then(() => {
+              return note.getRevisions({
+                order: [['revisionId', 'DESC']],
+                transaction: transaction,
+              });
+            });
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'title')).to.deep.equal([
+            'fourth',
+            'third',
+            'second',
+            'first',
+          ]);
+          expect(Note.associations).to.not.have.property('revisions');
+        });
+    });
+    it('should associate the revisions under revisionsAs', () => {
+      const Task = temporaryDB.define('Task', { title: Sequelize.STRING });
+      const TaskRevision = trackRevisions(Task, { revisionsAs: 'history' });
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Task.create({ title: 'first' });
+        })
+        .then(task => {
+          return task.update({ title: 'second' });
+        })
+        .then(task => {
+          return Task.findById(task.id, {
+            include: [{ model: TaskRevision, as: 'history' }],
+          });
+        })
+        .then(found => {
+          expect(_.map(found.history, 'title').sort()).to.deep.equal([
+            'first',
+            'second',
+          ]);
+        });
+    });
+    it('should keep a getRevisions of the model', () => {
+      const Task = temporaryDB.define(
+        'Task',
+        { title: Sequelize.STRING },
+        {
+          instanceMethods: {
+            getRevisions: function() {
+              return 'own';
+            },
+          },
+        }
+      );
+      trackRevisions(Task);
+      expect(Task.build({ title: 'first' }).getRevisions()).to.equal('own');
+    });
+    it('should get the revisions of an instance with a composite key', () => {
+      const Line = temporaryDB.define('Line', {
+        orderId: { type: Sequelize.INTEGER, primaryKey: true },
+        productId: { type: Sequelize.INTEGER, primaryKey: true },
+        quantity: Sequelize.INTEGER,
+      });
+      trackRevisions(Line);
+      return temporaryDB
+        .sync()
+        .then(() => {
+          return Line.create({ orderId: 1, productId: 2, quantity: 1 });
+        })
+        .then(line => {
+          return line.update({ quantity: 2 });
+        })
+        .then(line => {
+          return line.getRevisions();
+        })
+        .then(revisions => {
+          expect(_.map(revisions, 'quantity')).to.deep.equal([1, 2]);
+        });
+    });
+  });
+  describe('whoDunnit', () => {
+    context('with a valid username on the session', () => {
+      let instance;
+      beforeEach(() => {
+        return createFakeDB().then(fakeDB => {
+          fakeDB.whoDunnit = 'waldo';
+          temporaryDB = fakeDB;
+          Model = fakeDB.define('TestModel', {
+            name: Sequelize.STRING,
+          });
+        });
+      });
+      beforeEach(() => {
+        RevisionModel = trackRevisions(Model);
+        return temporaryDB.sync();
+      });
+      beforeEach(() => {
+        return Model.create({}).then(inst => {
+          instance = inst;
+        });
+      });
+      it('should be set', () => {
+        return RevisionModel.find({
+          where: {
+            id: instance.id,
+          },
+        }).then(revision => {
+          expect(revision).to.have.property('whoDunnit');
+          expect(revision.whoDunnit).to.equal('waldo');
+        });
+      });
+    });
+    context('without a valid username on the session', () => {
+      let instance;
+      beforeEach(() => {
+        return createFakeDB().then(fakeDB => {
+          temporaryDB = fakeDB;
+          Model = fakeDB.define('TestModel', {
+            name: Sequelize.STRING,
+          });
+        });
+      });
+      beforeEach(() => {
+        RevisionModel = trackRevisions(Model);
+        return temporaryDB.sync();
+      });
+      beforeEach(() => {
+        return Model.create({}).then(inst => {
+          instance = inst;
+        });
+      });
+      it('should be set to the process.env.NODE_ENV', () => {
+        return RevisionModel.find({
+          where: {
+            id: instance.id,
+          },
+        }).then(revision => {
+          expect(revision).to.have.property('whoDunnit');
+          expect(revision.whoDunnit).to.contain(process.env.NODE_ENV);
+        });
+      });
+    });
+    context('with whoDunnit in the options', () => {
+      let instance;
+      beforeEach(() => {
+        temporaryDB.whoDunnit = 'waldo';
+        RevisionModel = trackRevisions(Model);
+        return temporaryDB.sync().then(() => {
+          return Model.create({}, { whoDunnit: 'carmen' }).then(inst => {
+            instance = inst;
+          });
+        });
+      });
+      it('should override the global whoDunnit for a create', () => {
+        return RevisionModel.find({
+          where: {
+            id: instance.id,
+          },
+        }).then(revision => {
+          expect(revision.whoDunnit).to.equal('carmen');
+        });
+      });
+      it('should override the global whoDunnit for an update', () => {
+        return instance
+          .update({ name: 'asdf' }, { whoDunnit: 'sandiego' })
+          .then(() => {
+            return RevisionModel.find({
+              where: {
+                id: instance.id,
+                revisionValidTo: null,
+              },
+            });
+          })
+          .then(revision => {
+            expect(revision.whoDunnit).to.equal('sandiego');
+          });
+      });
+    });
+    context('with withUser', () => {
+      beforeEach(() => {
+        Sequelize.cls = cls.createNamespace('sequelize-logbook-test');
+        temporaryDB.whoDunnit = 'waldo';
+        RevisionModel = trackRevisions(Model);
+        return temporaryDB.sync();
+      });
+      afterEach(() => {
+        cls.destroyNamespace('sequelize-logbook-test');
+        delete Sequelize.cls;
+      });
+      function createAs(user, name) {
+        return trackRevisions.withUser(user, () => {
+          return wait(10).then(() => {
+            return Model.create({ name: name });
+          });
+        });
+      }
+      it('should set whoDunnit for each async context', () => {
+        return Promise.all([
+          createAs('carmen', 'first'),
+          createAs('sandiego', 'second'),
+        ])
+          .then(() => {
+            return RevisionModel.findAll({ order: [['name', 'ASC']] });
+          })
+          .then(revisions => {
+            expect(_.map(revisions, 'whoDunnit')).to.deep.equal([
+              'carmen',
+              'sandiego',
+            ]);
+          });
+      });
+      it('should fall back to the global whoDunnit outside of withUser', () => {
+        return Model.create({})
+          .then(inst => {
+            return RevisionModel.find({
+              where: {
+                id: inst.id,
+              },
+            });
+          })
+          .then(revision => {
+            expect(revision.whoDunnit).to.equal('waldo');
+          });
+      });
+      it('should be overridden by whoDunnit in the options', () => {
+        return trackRevisions
+          .withUser('carmen', () => {
+            return Model.create({}, { whoDunnit: 'sandiego' });
+          })
+          .then(inst => {
+            return RevisionModel.find({
+              where: {
+                id: inst.id,
+              },
+            });
+          })
+          .then(revision => {
+            expect(revision.whoDunnit).to.equal('sandiego');
+          });
       });
     });
   });
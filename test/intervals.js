@@ -0,0 +1,38 @@
+const intervals = require('../lib/intervals');
+
+describe('intervals', () => {
+  function revision(revisionId, operation, validFrom, validTo) {
+    return {
+      revisionId: revisionId,
+      revisionOperation: operation,
+      revisionValidFrom: new Date(validFrom),
+      revisionValidTo: validTo === null ? null : new Date(validTo),
+    };
+  }
+  describe('findInconsistencies', () => {
+    it('should accept revisions that follow each other', () => {
+      expect(
+        intervals.findInconsistencies([
+          revision(1, 'create', 1000, 2000),
+          revision(2, 'update', 2000, 3000),
+          revision(3, 'restore', 4000, null),
+        ])
+      ).to.deep.equal([]);
+    });
+    it('should report overlaps, gaps and inverted intervals', () => {
+      expect(
+        intervals.findInconsistencies([
+          revision(1, 'create', 1000, null),
+          revision(2, 'update', 2000, 3000),
+          revision(3, 'update', 2500, 2000),
+          revision(4, 'update', 5000, null),
+        ])
+      ).to.deep.equal([
+        { revisionId: 2, reason: 'overlap' },
+        { revisionId: 3, reason: 'inverted' },
+        { revisionId: 3, reason: 'overlap' },
+        { revisionId: 4, reason: 'gap' },
+      ]);
+    });
+  });
+});
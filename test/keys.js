@@ -0,0 +1,81 @@
+const keys = require('../lib/keys');
+
+describe('keys', () => {
+  const single = ['id'];
+  const composite = ['orderId', 'productId'];
+  describe('attributesOf', () => {
+    it('should list every primary key attribute', () => {
+      expect(
+        keys.attributesOf({
+          attributes: {
+            orderId: { primaryKey: true },
+            productId: { primaryKey: true },
+            quantity: {},
+          },
+        })
+      ).to.deep.equal(composite);
+    });
+  });
+  describe('valueOf', () => {
+    it('should be the value of a single column key', () => {
+      expect(keys.valueOf(single, { id: 1, name: 'a' })).to.equal(1);
+    });
+    it('should be an object for a composite key', () => {
+      expect(
+        keys.valueOf(composite, { orderId: 1, productId: 2, quantity: 3 })
+      ).to.deep.equal({ orderId: 1, productId: 2 });
+    });
+  });
+  describe('isValue', () => {
+    it('should tell primary keys from options', () => {
+      expect(keys.isValue(single, 1)).to.equal(true);
+      expect(keys.isValue(single, { where: {} })).to.equal(false);
+      expect(keys.isValue(single, undefined)).to.equal(false);
+      expect(keys.isValue(composite, { orderId: 1, productId: 2 })).to.equal(
+        true
+      );
+      expect(keys.isValue(composite, { orderId: 1 })).to.equal(false);
+    });
+  });
+  describe('keyOf', () => {
+    it('should not mix up composite keys', () => {
+      expect(keys.keyOf(composite, { orderId: 1, productId: 12 })).not.to.equal(
+        keys.keyOf(composite, { orderId: 11, productId: 2 })
+      );
+      expect(keys.keyOf(single, { id: 1 })).to.equal(
+        keys.keyOf(single, { id: '1' })
+      );
+    });
+  });
+  describe('where', () => {
+    it('should match any of the keys', () => {
+      expect(keys.where(single, [1, 2])).to.deep.equal({ id: { $in: [1, 2] } });
+      expect(
+        keys.where(composite, [
+          { orderId: 1, productId: 2 },
+          { orderId: 1, productId: 3 },
+        ])
+      ).to.deep.equal({
+        $or: [{ orderId: 1, productId: 2 }, { orderId: 1, productId: 3 }],
+      });
+    });
+    it('should match a single key', () => {
+      expect(keys.whereEquals(single, 1)).to.deep.equal({ id: 1 });
+      expect(
+        keys.whereEquals(composite, { orderId: 1, productId: 2, quantity: 3 })
+      ).to.deep.equal({ orderId: 1, productId: 2 });
+    });
+  });
+  describe('whereAfter', () => {
+    it('should match the keys ordered after the key', () => {
+      expect(keys.whereAfter(single, 5)).to.deep.equal({
+        $or: [{ id: { $gt: 5 } }],
+      });
+      expect(
+        keys.whereAfter(composite, { orderId: 1, productId: 2 })
+      ).to.deep.equal({
+        $or: [{ orderId: { $gt: 1 } }, { orderId: 1, productId: { $gt: 2 } }],
+      });
+    });
+  });
+});
@@ -0,0 +1,347 @@
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Sequelize = require('sequelize');
+const trackRevisions = require('../index');
+const cli = require('../lib/cli');
+
+function createDB() {
+  const db = new Sequelize('database', 'username', 'password', {
+    dialect: 'sqlite',
+    storage: __dirname + '/migrationdb.sqlite',
+    logging: false,
+  });
+  return db
+    .getQueryInterface()
+    .dropAllTables()
+    .then(() => {
+      return db;
+    });
+}
+function loadMigration(source) {
+  const file = path.join(
+    os.tmpdir(),
+    'sequelize-logbook-migration-' + _.uniqueId() + '.js'
+  );
+  fs.writeFileSync(file, source);
+  const loaded = require(file);
+  fs.unlinkSync(file);
+  return loaded;
+}
+
+describe('migrations', () => {
+  let db, Model, RevisionModel, queryInterface;
+  beforeEach(() => {
+    return createDB().then(created => {
+      db = created;
+      queryInterface = db.getQueryInterface();
+      Model = db.define('Widget', {
+        name: Sequelize.STRING(40),
+        price: Sequelize.DECIMAL(10, 2),
+      });
+      RevisionModel = trackRevisions(Model, { storeChangedAttributes: true });
+    });
+  });
+  afterEach(() => {
+    db.close();
+    fs.unlinkSync(db.options.storage);
+  });
+
+  describe('generateMigration', () => {
+    it('should create the revision table with its columns and indexes', () => {
+      const loaded = loadMigration(trackRevisions.generateMigration(Model));
+      return loaded
+        .up(queryInterface, Sequelize)
+        .then(() => {
+          return queryInterface.describeTable(RevisionModel.getTableName());
+        })
+        .then(columns => {
+          expect(_.keys(columns).sort()).to.deep.equal(
+            _.keys(RevisionModel.attributes).sort()
+          );
+          expect(columns.name.type).to.equal('VARCHAR(40)');
+          return queryInterface.showIndex(RevisionModel.getTableName());
+        })
+        .then(indexes => {
+          expect(indexes).to.have.length(RevisionModel.options.indexes.length);
+          return loaded.down(queryInterface, Sequelize);
+        })
+        .then(() => {
+          return queryInterface.showAllTables();
+        })
+        .then(tables => {
+          expect(tables).not.to.include(RevisionModel.getTableName());
+        });
+    });
+    it('should keep the options of unique indexes', () => {
+      RevisionModel.options.indexes.push({
+        name: 'Widget_revision_open',
+        unique: true,
+        fields: ['id'],
+        where: { revisionValidTo: null },
+      });
+      const source = trackRevisions.generateMigration(Model);
+      expect(source).to.contain("name: 'Widget_revision_open'");
+      expect(source).to.contain('unique: true');
+      expect(source).to.contain('revisionValidTo: null');
+    });
+    it('should create a revision table in a schema', () => {
+      const Gadget = db.define('Gadget', { name: Sequelize.STRING });
+      const GadgetRevision = trackRevisions(Gadget, { schema: 'audit' });
+      const source = trackRevisions.generateMigration(Gadget);
+      expect(source).to.contain(
+        "{\n      tableName: 'Gadget_revisions',\n      schema: 'audit',\n    }"
+      );
+      expect(source).not.to.contain('delimiter');
+      const loaded = loadMigration(source);
+      return loaded
+        .up(queryInterface, Sequelize)
+        .then(() => {
+          return queryInterface.describeTable(GadgetRevision.getTableName());
+        })
+        .then(columns => {
+          expect(columns).to.have.property('revisionValidFrom');
+          return queryInterface.showIndex(GadgetRevision.getTableName());
+        })
+        .then(indexes => {
+          expect(_.map(indexes, 'name')).to.include(
+            'gadget_revisions_revision_valid_from'
+          );
+          return loaded.down(queryInterface, Sequelize);
+        });
+    });
+    it('should create the prune, erasure and schema tables', () => {
+      const Gizmo = db.define('Gizmo', { name: Sequelize.STRING });
+      const GizmoRevision = trackRevisions(Gizmo, {
+        retention: { keepLast: 1 },
+        erasure: true,
+        trackSchema: true,
+      });
+      const loaded = loadMigration(trackRevisions.generateMigration(Gizmo));
+      return loaded
+        .up(queryInterface, Sequelize)
+        .then(() => {
+          return queryInterface.showAllTables();
+        })
+        .then(tables => {
+          expect(tables).to.include.members([
+            'Gizmo_revisions',
+            'Gizmo_revision_prunes',
+            'Gizmo_revision_erasures',
+            'Gizmo_revision_schemas',
+          ]);
+          return Gizmo.sync();
+        })
+        .then(() => {
+          return Gizmo.create({ name: 'a' });
+        })
+        .then(gizmo => {
+          return gizmo.update({ name: 'b' });
+        })
+        .then(() => {
+          return GizmoRevision.prune();
+        })
+        .then(() => {
+          return GizmoRevision.checkSchema();
+        })
+        .then(report => {
+          expect(report.missing).to.deep.equal([]);
+          return GizmoRevision.schemaModel.count();
+        })
+        .then(count => {
+          expect(count).to.equal(1);
+          return loaded.down(queryInterface, Sequelize);
+        })
+        .then(() => {
+          return queryInterface.showAllTables();
+        })
+        .then(tables => {
+          expect(tables).not.to.include.members([
+            'Gizmo_revision_prunes',
+            'Gizmo_revisions',
+          ]);
+        });
+    });
+    it('should accept the revision model', () => {
+      expect(trackRevisions.generateMigration(RevisionModel)).to.equal(
+        trackRevisions.generateMigration(Model)
+      );
+    });
+    it('should reject models that are not tracked', () => {
+      expect(() => {
+        trackRevisions.generateMigration(db.define('Untracked', {}));
+      }).to.throw('model is not tracked');
+    });
+  });
+
+  describe('generateDiffMigration', () => {
+    beforeEach(() => {
+      return RevisionModel.sync();
+    });
+    it('should resolve null when the table is up to date', () => {
+      return trackRevisions.generateDiffMigration(Model).then(source => {
+        expect(source).to.be.null;
+      });
+    });
+    it('should create the audit tables that do not exist yet', () => {
+      RevisionModel = trackRevisions(Model, {
+        storeChangedAttributes: true,
+        retention: { keepLast: 1 },
+      });
+      return trackRevisions
+        .generateDiffMigration(Model)
+        .then(source => {
+          expect(source).to.contain('createTable');
+          expect(source).not.to.contain('addColumn');
+          return loadMigration(source).up(queryInterface, Sequelize);
+        })
+        .then(() => {
+          return RevisionModel.pruneModel.count();
+        })
+        .then(count => {
+          expect(count).to.equal(0);
+          return trackRevisions.generateDiffMigration(Model);
+        })
+        .then(source => {
+          expect(source).to.be.null;
+        });
+    });
+    it('should create the revision table when it does not exist', () => {
+      return queryInterface
+        .dropTable(RevisionModel.getTableName())
+        .then(() => {
+          return trackRevisions.generateDiffMigration(Model);
+        })
+        .then(source => {
+          expect(source).to.contain('createTable');
+          expect(source).not.to.contain('addColumn');
+          return loadMigration(source).up(queryInterface, Sequelize);
+        })
+        .then(() => {
+          return trackRevisions.generateDiffMigration(Model);
+        })
+        .then(source => {
+          expect(source).to.be.null;
+        });
+    });
+    it('should add columns that allow null to a table with revisions', () => {
+      return Model.sync()
+        .then(() => {
+          return Model.create({ name: 'gear' });
+        })
+        .then(() => {
+          Model = db.define('Widget', {
+            name: Sequelize.STRING(40),
+            price: Sequelize.DECIMAL(10, 2),
+            sku: { type: Sequelize.STRING, allowNull: false },
+          });
+          RevisionModel = trackRevisions(Model, {
+            storeChangedAttributes: true,
+          });
+          return trackRevisions.generateDiffMigration(Model);
+        })
+        .then(source => {
+          return loadMigration(source).up(queryInterface, Sequelize);
+        })
+        .then(() => {
+          return queryInterface.describeTable(RevisionModel.getTableName());
+        })
+        .then(columns => {
+          expect(columns.sku.allowNull).to.be.true;
+        });
+    });
+    it('should add and remove the columns that differ', () => {
+      return queryInterface
+        .removeColumn(RevisionModel.getTableName(), 'changedAttributes')
+        .then(() => {
+          return queryInterface.addColumn(
+            RevisionModel.getTableName(),
+            'obsolete',
+            Sequelize.STRING
+          );
+        })
+        .then(() => {
+          return trackRevisions.generateDiffMigration(Model);
+        })
+        .then(source => {
+          return loadMigration(source).up(queryInterface, Sequelize);
+        })
+        .then(() => {
+          return queryInterface.describeTable(RevisionModel.getTableName());
+        })
+        .then(columns => {
+          expect(columns).to.have.property('changedAttributes');
+          expect(columns).not.to.have.property('obsolete');
+          return trackRevisions.generateDiffMigration(Model);
+        })
+        .then(source => {
+          expect(source).to.be.null;
+        });
+    });
+  });
+
+  describe('cli', () => {
+    let modelsFile, outDir;
+    beforeEach(() => {
+      modelsFile = path.join(
+        os.tmpdir(),
+        'sequelize-logbook-models-' + _.uniqueId() + '.js'
+      );
+      fs.writeFileSync(
+        modelsFile,
+        'module.exports = { sequelize: global.sequelizeLogbookTestDB };\n'
+      );
+      global.sequelizeLogbookTestDB = db;
+      outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-logbook-'));
+    });
+    afterEach(() => {
+      delete global.sequelizeLogbookTestDB;
+      delete require.cache[modelsFile];
+      fs.unlinkSync(modelsFile);
+      _.each(fs.readdirSync(outDir), file => {
+        fs.unlinkSync(path.join(outDir, file));
+      });
+      fs.rmdirSync(outDir);
+    });
+    it('should reject unknown commands with the usage', () => {
+      return expect(cli.run(['migrate'])).to.be.rejectedWith(cli.usage);
+    });
+    it('should reject unknown models', () => {
+      return expect(
+        cli.run(['generate-migration', '--models', modelsFile, '--model', 'X'])
+      ).to.be.rejectedWith('model not found: X');
+    });
+    it('should print the migration', () => {
+      return cli
+        .run([
+          'generate-migration',
+          '--models',
+          modelsFile,
+          '--model',
+          'Widget',
+        ])
+        .then(output => {
+          expect(output).to.equal(trackRevisions.generateMigration(Model));
+        });
+    });
+    it('should write the migration to --out', () => {
+      return cli
+        .run([
+          'generate-migration',
+          '--models',
+          modelsFile,
+          '--model',
+          'Widget',
+          '--out',
+          outDir,
+        ])
+        .then(output => {
+          const files = fs.readdirSync(outDir);
+          expect(files).to.have.length(1);
+          expect(files[0]).to.match(/^\d{14}-create-widget-revisions?\.js$/);
+          expect(output).to.equal('wrote ' + path.join(outDir, files[0]));
+        });
+    });
+  });
+});
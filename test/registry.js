@@ -0,0 +1,25 @@
+const registry = require('../lib/registry');
+
+describe('registry', () => {
+  const sequelize = {};
+  const otherSequelize = {};
+  function entry(name, db) {
+    return {
+      Model: { name: name, sequelize: db },
+      revisionModel: {},
+      primaryKey: 'id',
+    };
+  }
+  it('should keep models by sequelize instance', () => {
+    registry.register(entry('A', sequelize));
+    registry.register(entry('A', otherSequelize));
+    expect(registry.entries(sequelize).length).to.equal(1);
+    expect(registry.entries(otherSequelize).length).to.equal(1);
+  });
+  it('should replace a model tracked again', () => {
+    const again = entry('A', sequelize);
+    registry.register(again);
+    expect(registry.entries(sequelize)).to.deep.equal([again]);
+    expect(registry.entries(sequelize)[0]).to.equal(again);
+  });
+});
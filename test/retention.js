@@ -0,0 +1,57 @@
+const retention = require('../lib/retention');
+
+describe('retention', () => {
+  const now = new Date('2017-03-10T12:00:00Z');
+  const day = 24 * 60 * 60 * 1000;
+  function revision(revisionId, validFrom, validTo) {
+    return {
+      revisionId: revisionId,
+      revisionValidFrom: new Date(validFrom),
+      revisionValidTo: validTo ? new Date(validTo) : null,
+    };
+  }
+  const revisions = [
+    revision(1, '2017-03-01T08:00:00Z', '2017-03-01T09:00:00Z'),
+    revision(2, '2017-03-01T09:00:00Z', '2017-03-01T10:00:00Z'),
+    revision(3, '2017-03-01T10:00:00Z', '2017-03-02T08:00:00Z'),
+    revision(4, '2017-03-02T08:00:00Z', '2017-03-09T08:00:00Z'),
+    revision(5, '2017-03-09T08:00:00Z', null),
+  ];
+
+  describe('isPolicy', () => {
+    it('should need at least one rule', () => {
+      expect(retention.isPolicy(null)).to.equal(false);
+      expect(retention.isPolicy({})).to.equal(false);
+      expect(retention.isPolicy({ keepLast: 0 })).to.equal(true);
+      expect(retention.isPolicy({ dailySnapshots: true })).to.equal(true);
+    });
+  });
+
+  describe('planPrune', () => {
+    it('should keep the newest keepLast revisions', () => {
+      expect(
+        retention.planPrune(revisions, { keepLast: 2 }, now).deleted
+      ).to.deep.equal([3, 2, 1]);
+    });
+    it('should keep revisions closed less than maxAge ago', () => {
+      expect(
+        retention.planPrune(revisions, { maxAge: 5 * day }, now).deleted
+      ).to.deep.equal([3, 2, 1]);
+    });
+    it('should never prune the open revision', () => {
+      expect(
+        retention.planPrune(revisions, { keepLast: 0 }, now).deleted
+      ).to.deep.equal([4, 3, 2, 1]);
+    });
+    it('should collapse to the last revision of each day', () => {
+      expect(
+        retention.planPrune(revisions, { dailySnapshots: true }, now)
+      ).to.deep.equal({
+        deleted: [2, 1],
+        collapsed: [
+          { revisionId: 3, revisionValidFrom: revisions[0].revisionValidFrom },
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const Sequelize = require('sequelize');
+const sensitive = require('../lib/sensitive');
+
+describe('sensitive', () => {
+  const key = 'secret';
+  describe('encrypt', () => {
+    it('should round trip values', () => {
+      const encrypted = sensitive.encrypt({ a: [1, 'b'] }, key);
+      expect(encrypted).to.match(/^enc:v1:/);
+      expect(sensitive.decrypt(encrypted, key)).to.deep.equal({ a: [1, 'b'] });
+    });
+    it('should not encrypt the same value the same way twice', () => {
+      expect(sensitive.encrypt('a', key)).not.to.equal(
+        sensitive.encrypt('a', key)
+      );
+    });
+    it('should not decrypt with another key', () => {
+      const encrypted = sensitive.encrypt('a', key);
+      expect(() => {
+        sensitive.decrypt(encrypted, 'other');
+      }).to.throw(Error);
+    });
+    it('should leave null alone', () => {
+      expect(sensitive.encrypt(null, key)).to.be.null;
+      expect(sensitive.decrypt(null, key)).to.be.null;
+    });
+  });
+  describe('isEncrypted', () => {
+    it('should only accept ciphertext of the key', () => {
+      const encrypted = sensitive.encrypt('a', key);
+      expect(sensitive.isEncrypted(encrypted, key)).to.equal(true);
+      expect(sensitive.isEncrypted(encrypted, 'other')).to.equal(false);
+      expect(sensitive.isEncrypted('enc:v1:forged', key)).to.equal(false);
+      expect(sensitive.isEncrypted('a', key)).to.equal(false);
+    });
+  });
+  describe('redact', () => {
+    it('should hash', () => {
+      expect(sensitive.redact('a', 'hash', key)).to.have.length(64);
+      expect(sensitive.redact('a', 'hash', key)).to.equal(
+        sensitive.redact('a', 'hash', key)
+      );
+      expect(sensitive.redact('a', 'hash', key)).not.to.equal(
+        sensitive.redact('a', 'hash', 'other')
+      );
+    });
+    it('should need a key to hash', () => {
+      expect(() => {
+        sensitive.redact('a', 'hash');
+      }).to.throw('a key is required to hash');
+    });
+    it('should use a placeholder', () => {
+      expect(sensitive.redact('a', 'placeholder')).to.equal('[REDACTED]');
+      expect(sensitive.redact(null, 'placeholder')).to.be.null;
+    });
+  });
+  describe('redactModesByAttribute', () => {
+    it('should hash by default', () => {
+      expect(sensitive.redactModesByAttribute(['ssn'])).to.deep.equal({
+        ssn: 'hash',
+      });
+    });
+    it('should reject unknown modes', () => {
+      expect(() => {
+        sensitive.redactModesByAttribute({ ssn: 'scramble' });
+      }).to.throw('invalid redact mode for ssn: scramble');
+    });
+  });
+  describe('encryptedAttribute', () => {
+    it('should store TEXT', () => {
+      expect(
+        sensitive.encryptedAttribute(
+          'birthday',
+          { type: Sequelize.DATE, validate: { isDate: true } },
+          key
+        )
+      )
+        .to.include.keys(['type', 'get', 'set'])
+        .and.not.to.include.keys(['validate']);
+    });
+    it('should not encrypt ciphertext again', () => {
+      const values = {};
+      const attribute = sensitive.encryptedAttribute('pin', {}, key);
+      const instance = {
+        setDataValue: (name, value) => {
+          values[name] = value;
+        },
+      };
+      const encrypted = sensitive.encrypt('1234', key);
+      attribute.set.call(instance, encrypted);
+      expect(values.pin).to.equal(encrypted);
+      attribute.set.call(instance, '1234');
+      expect(sensitive.decrypt(values.pin, key)).to.equal('1234');
+    });
+  });
+});
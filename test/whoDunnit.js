@@ -0,0 +1,60 @@
+const Sequelize = require('sequelize');
+const whoDunnit = require('../lib/whoDunnit');
+
+describe('whoDunnit', () => {
+  describe('withUser', () => {
+    let originalCls;
+    beforeEach(function() {
+      if (!require('async_hooks').AsyncLocalStorage) {
+        this.skip();
+      }
+      originalCls = Sequelize.cls;
+      Sequelize.cls = undefined;
+    });
+    afterEach(() => {
+      Sequelize.cls = originalCls;
+    });
+    it('should keep the user of each context without Sequelize.cls', () => {
+      return Sequelize.Promise
+        .all(
+          ['carmen', 'sandiego', 'waldo'].map(user => {
+            return whoDunnit.withUser(user, () => {
+              return Sequelize.Promise.resolve().then(() => {
+                return whoDunnit.currentUser();
+              });
+            });
+          })
+        )
+        .then(users => {
+          expect(users).to.deep.equal(['carmen', 'sandiego', 'waldo']);
+        });
+    });
+  });
+  describe('resolve', () => {
+    let originalEnv;
+    beforeEach(() => {
+      originalEnv = process.env.whoDunnit;
+      process.env.whoDunnit = 'env user';
+    });
+    afterEach(() => {
+      if (originalEnv === undefined) {
+        delete process.env.whoDunnit;
+      } else {
+        process.env.whoDunnit = originalEnv;
+      }
+    });
+    it('should prefer options.whoDunnit', () => {
+      expect(
+        whoDunnit.resolve({ whoDunnit: 'global user' }, { whoDunnit: 'caller' })
+      ).to.equal('caller');
+    });
+    it('should fall back to sequelize.whoDunnit', () => {
+      expect(whoDunnit.resolve({ whoDunnit: 'global user' }, {})).to.equal(
+        'global user'
+      );
+    });
+    it('should fall back to process.env.whoDunnit', () => {
+      expect(whoDunnit.resolve({})).to.equal('env user');
+    });
+  });
+});